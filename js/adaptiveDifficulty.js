@@ -0,0 +1,125 @@
+import { DIFFICULTIES } from './difficulty.js';
+
+// Levels the adaptive AI blends between, at levels 0, 0.5 and 1
+const ANCHORS = [DIFFICULTIES.easy, DIFFICULTIES.medium, DIFFICULTIES.hard];
+
+// Fields of a difficulty level that decide how well the AI plays
+const AI_FIELDS = ['aiShotBudget', 'aiAngleNoise', 'aiPowerNoise', 'aiSpinNoise'];
+
+/**
+ * Adjusts how well the AI plays to keep matches close. The AI's level runs
+ * from 0 (easy) through 0.5 (medium) to 1 (hard) and is steered by two
+ * things: the score gap between the human and the AI, and how good the
+ * human's recent shots have been. A human pulling ahead or shooting well
+ * makes the AI play better; a human falling behind makes it play worse.
+ * The level moves part of the way towards its target after every frame
+ * and every human shot, so it follows form rather than single shots.
+ */
+class AdaptiveDifficulty {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.level=0.5] - Level to start at
+     * @param {number} [options.gapWeight=2] - Change of target level per
+     *   winning score of lead
+     * @param {number} [options.qualityWeight=0.8] - Change of target level per
+     *   unit of shot quality above the expected quality
+     * @param {number} [options.expectedQuality=0.4] - Shot quality of an even match
+     * @param {number} [options.qualityMemory=0.3] - Weight of each new shot in
+     *   the running shot quality
+     * @param {number} [options.rate=0.35] - Share of the way to its target the
+     *   level moves at each update
+     */
+    constructor({
+        level = 0.5,
+        gapWeight = 2,
+        qualityWeight = 0.8,
+        expectedQuality = 0.4,
+        qualityMemory = 0.3,
+        rate = 0.35
+    } = {}) {
+        this.gapWeight = gapWeight;
+        this.qualityWeight = qualityWeight;
+        this.expectedQuality = expectedQuality;
+        this.qualityMemory = qualityMemory;
+        this.rate = rate;
+        this.reset(level);
+    }
+
+    /**
+     * The level a fixed difficulty stands for
+     * @param {string} id - Difficulty id
+     * @returns {number} 0 to 1
+     */
+    static getLevelFor(id) {
+        const index = ANCHORS.findIndex(anchor => anchor.id === id);
+        return index >= 0 ? index / (ANCHORS.length - 1) : 0;
+    }
+
+    /**
+     * Starts over for a new game
+     * @param {number} [level=0.5] - Level to start at
+     */
+    reset(level = 0.5) {
+        this.level = level;
+        this.target = level;
+        this.quality = this.expectedQuality;
+        this.scoreGap = 0;
+        this.shots = 0;
+    }
+
+    /**
+     * Takes a human shot into account
+     * @param {number} quality - How good the shot was, 0 to 1
+     */
+    recordShot(quality) {
+        this.quality += (quality - this.quality) * this.qualityMemory;
+        this.shots++;
+        this.update();
+    }
+
+    /**
+     * Takes the match score into account
+     * @param {number} humanScore - Best score of the human players
+     * @param {number} aiScore - Best score of the AI players
+     * @param {number} winningScore - Score that wins the game
+     */
+    recordScores(humanScore, aiScore, winningScore) {
+        this.scoreGap = (humanScore - aiScore) / Math.max(1, winningScore);
+        this.update();
+    }
+
+    /**
+     * Moves the level towards where the score gap and shot quality put it
+     */
+    update() {
+        this.target = Math.min(1, Math.max(0,
+            0.5 +
+            this.gapWeight * this.scoreGap +
+            this.qualityWeight * (this.quality - this.expectedQuality)
+        ));
+        this.level += (this.target - this.level) * this.rate;
+    }
+
+    /**
+     * A difficulty level that plays at the current adaptive level
+     * @param {Object} base - The chosen difficulty, which still decides the
+     *   aiming guide
+     * @returns {Object} A copy of base with the AI fields blended for the level
+     */
+    getDifficulty(base) {
+        const position = this.level * (ANCHORS.length - 1);
+        const index = Math.min(ANCHORS.length - 2, Math.floor(position));
+        const t = position - index;
+        const from = ANCHORS[index];
+        const to = ANCHORS[index + 1];
+
+        const difficulty = { ...base, adaptiveLevel: this.level };
+        AI_FIELDS.forEach(field => {
+            difficulty[field] = from[field] + (to[field] - from[field]) * t;
+        });
+        difficulty.aiShotBudget = Math.round(difficulty.aiShotBudget);
+        return difficulty;
+    }
+}
+
+export default AdaptiveDifficulty;
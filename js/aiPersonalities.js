@@ -0,0 +1,61 @@
+// AI personalities give computer opponents a name and a way of playing.
+// The difficulty decides how well the AI plays; the personality decides
+// what it goes for: Bruno clears the board, Clara builds guards and Rex
+// chases the 10.
+
+import { lookupPreset } from './presets.js';
+
+// weights:      what the AI values in a shot's outcome, in place of the
+//               planner's DEFAULT_WEIGHTS (points, opponentPoints, knockout,
+//               guard, topZone)
+// preferences:  how many shots of each kind (draw, takeout, guard) the AI
+//               tries in turn while it has time, 0 to never try a kind
+// noise:        scales the difficulty's execution errors for aim, power and spin
+// reactionTime: range of milliseconds the AI waits before taking its turn
+const AI_PERSONALITIES = {
+    balanced: {
+        id: 'balanced',
+        name: 'Sam the All-Rounder',
+        weights: {},
+        preferences: { draw: 1, takeout: 1, guard: 1 },
+        noise: { angle: 1, power: 1, spin: 1 },
+        reactionTime: [1000, 2500]
+    },
+    knocker: {
+        id: 'knocker',
+        name: 'Bruno the Knocker',
+        weights: { knockout: 5, guard: 0.5 },
+        preferences: { draw: 1, takeout: 3, guard: 0 },
+        noise: { angle: 1, power: 1.3, spin: 1 }, // Hits hard, not always the same
+        reactionTime: [600, 1200]
+    },
+    placer: {
+        id: 'placer',
+        name: 'Clara the Placer',
+        weights: { opponentPoints: 0.8, knockout: 1, guard: 4 },
+        preferences: { draw: 2, takeout: 1, guard: 2 },
+        noise: { angle: 0.85, power: 0.85, spin: 0.85 },
+        reactionTime: [1800, 3000]
+    },
+    riskTaker: {
+        id: 'riskTaker',
+        name: 'Rex the Risk-Taker',
+        weights: { knockout: 1, guard: 0, topZone: 6 },
+        preferences: { draw: 3, takeout: 1, guard: 0 },
+        noise: { angle: 1.25, power: 1.25, spin: 1.25 },
+        reactionTime: [500, 1000]
+    }
+};
+
+const DEFAULT_AI_PERSONALITY = 'balanced';
+
+/**
+ * Looks up an AI personality by id
+ * @param {string} id - 'balanced', 'knocker', 'placer' or 'riskTaker'
+ * @returns {Object} A copy of the personality, safe to modify
+ */
+function getAIPersonality(id) {
+    return lookupPreset(AI_PERSONALITIES, id, 'AI personality', DEFAULT_AI_PERSONALITY);
+}
+
+export { AI_PERSONALITIES, DEFAULT_AI_PERSONALITY, getAIPersonality };
@@ -0,0 +1,480 @@
+import ShotPredictor from './shotPredictor.js';
+import { random as gameRandom } from './random.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { clamp } from './utils.js';
+
+// How much the AI values each part of a shot's outcome
+// points:         the AI's own points on the board once the shot settles
+// opponentPoints: points the opponents are left with
+// knockout:       each opponent disc knocked out of scoring
+// guard:          each scoring disc of its own the shot disc stops in front of
+// topZone:        the shot disc stopping in the best zone on the board
+const DEFAULT_WEIGHTS = {
+    points: 1,
+    opponentPoints: 1,
+    knockout: 2,
+    guard: 2,
+    topZone: 0
+};
+
+/**
+ * Picks shots for a computer player by trying them out. Each candidate
+ * shot is played out in a ShotPredictor copy of the board and the outcome
+ * scored under the game's rules, so the AI sees what a shot really does:
+ * the points it leaves on the board, the opponent discs it knocks out and
+ * the guards it sets up. The best shot is then played with errors that
+ * grow as the difficulty drops. What it values in an outcome, and how
+ * cleanly it plays, can be changed to a personality's with setPersonality().
+ *
+ * Candidates come from three kinds of shot: draws to open scoring spots,
+ * takeouts of opponent discs and guards in front of the AI's own discs.
+ * Any budget left over refines the best of them. How hard to push for a
+ * given distance is looked up in a power curve measured once per surface
+ * and disc set on an empty board.
+ */
+class AIPlanner {
+    /**
+     * @param {Object} [options]
+     * @param {ShotPredictor} [options.predictor] - Predictor to try shots in
+     * @param {Random} [options.random] - Source of the execution errors
+     * @param {Object} [options.difficulty] - Difficulty level from getDifficulty()
+     * @param {Object} [options.weights] - Outcome weights, as DEFAULT_WEIGHTS
+     * @param {{angle: number, power: number, spin: number}} [options.noise] -
+     *   Scales the difficulty's execution errors
+     * @param {{draw: number, takeout: number, guard: number}} [options.preferences] -
+     *   How many shots of each kind to try in turn, 0 to never try a kind
+     */
+    constructor({
+        predictor = new ShotPredictor(),
+        random = gameRandom,
+        difficulty = getDifficulty(DEFAULT_DIFFICULTY),
+        weights = DEFAULT_WEIGHTS,
+        noise = { angle: 1, power: 1, spin: 1 },
+        preferences = { draw: 1, takeout: 1, guard: 1 }
+    } = {}) {
+        this.predictor = predictor;
+        this.random = random;
+        this.difficulty = difficulty;
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+        this.noise = { ...noise };
+        this.preferences = { ...preferences };
+
+        this.calibrationCharges = [];
+        for (let charge = 0.3; charge <= 1.0001; charge += 0.05) {
+            this.calibrationCharges.push(charge);
+        }
+        this.powerCurves = new Map(); // Surface, disc set and end -> [{charge, distance}]
+        this.spotSpacing = 0.2;       // Grid spacing when looking for scoring spots
+        this.guardDistance = 1.5;     // How far short of a disc a guard stops
+        this.takeoutDistances = [2, 5]; // Distances past a disc to aim takeouts at
+        this.refineSteps = { angle: 0.006, charge: 0.02, spin: 0.5 };
+    }
+
+    /**
+     * @param {Object} difficulty - Difficulty level from getDifficulty()
+     */
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+    }
+
+    /**
+     * Plays in the style of a personality: what it values in a shot and
+     * how cleanly it plays
+     * @param {Object} personality - Personality from getAIPersonality()
+     */
+    setPersonality({ weights = {}, noise = {}, preferences = {} }) {
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+        this.noise = { angle: 1, power: 1, spin: 1, ...noise };
+        this.preferences = { draw: 1, takeout: 1, guard: 1, ...preferences };
+    }
+
+    /**
+     * Picks the current player's next shot
+     * @param {GameCore} core - The game, waiting for the shot
+     * @returns {{angle: number, power: number, spin: number, intended: Object,
+     *   kind: string, score: number, simulations: number}|null} The shot to
+     *   play, errors included, and the shot the AI meant to play; null when
+     *   the player has no disc left
+     */
+    planShot(core) {
+        const search = this.search(core);
+        let step = search.next();
+        while (!step.done) {
+            step = search.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * planShot() spread over several tasks, so a browser keeps drawing
+     * while the AI thinks
+     * @param {GameCore} core - The game, waiting for the shot
+     * @param {Object} [options]
+     * @param {number} [options.sliceTime=12] - Milliseconds to think before letting the page run
+     * @returns {Promise<Object|null>} As planShot()
+     */
+    async planShotAsync(core, { sliceTime = 12 } = {}) {
+        const search = this.search(core);
+        let step = search.next();
+        let sliceStart = performance.now();
+        while (!step.done) {
+            if (performance.now() - sliceStart > sliceTime) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = performance.now();
+            }
+            step = search.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * The shot search, yielding after every simulated shot
+     * @param {GameCore} core - The game, waiting for the shot
+     */
+    *search(core) {
+        const player = core.getCurrentPlayer();
+        if (!player?.getNextDisc()) return null;
+
+        const curve = yield* this.getPowerCurve(core, player);
+        this.predictor.sync(core);
+
+        const context = this.createContext(core, player, curve);
+        const candidates = this.getCandidates(context);
+        const budget = Math.max(1, this.difficulty.aiShotBudget ?? 24);
+        let best = null;
+        let simulations = 0;
+
+        const tryShot = (shot) => {
+            const score = this.evaluate(context, this.predictShot(context, shot));
+            simulations++;
+            if (!best || score > best.score) {
+                best = { ...shot, score };
+                return true;
+            }
+            return false;
+        };
+
+        for (const shot of candidates.slice(0, budget)) {
+            tryShot(shot);
+            yield;
+        }
+
+        // Hill-climb from the best candidate with what is left of the budget,
+        // halving the steps whenever no neighbour does better
+        const steps = { ...this.refineSteps };
+        while (best && simulations < budget && steps.charge > 0.004) {
+            const from = best;
+            const neighbours = [
+                { angle: from.angle + steps.angle }, { angle: from.angle - steps.angle },
+                { charge: from.charge + steps.charge }, { charge: from.charge - steps.charge },
+                { spin: clamp(from.spin + steps.spin, -1, 1) }, { spin: clamp(from.spin - steps.spin, -1, 1) }
+            ];
+            let improved = false;
+            for (const change of neighbours) {
+                if (simulations >= budget) break;
+                improved = tryShot({ ...from, ...change, kind: from.kind }) || improved;
+                yield;
+            }
+            if (!improved) {
+                steps.angle /= 2;
+                steps.charge /= 2;
+                steps.spin /= 2;
+            }
+        }
+
+        if (!best) return null;
+        return {
+            ...this.applyNoise(best, player),
+            intended: { angle: best.angle, power: best.charge, spin: best.spin },
+            kind: best.kind,
+            score: best.score,
+            simulations
+        };
+    }
+
+    /**
+     * How far shots of each charge travel straight down an empty board,
+     * measured the first time a surface, disc set and end come up. Shots
+     * are measured from the middle of the delivery end, so the curve is the
+     * same whichever side the player stands on when it is first needed.
+     * @param {GameCore} core - The game
+     * @param {Player} player - The player about to shoot
+     * @returns {{charge: number, distance: number}[]} Distances from the
+     *   delivery spot, Infinity for shots that go off the end
+     */
+    *getPowerCurve(core, player) {
+        const key = `${core.board.surface?.id}:${core.discSet?.id}:${player.direction}`;
+        if (this.powerCurves.has(key)) return this.powerCurves.get(key);
+
+        this.predictor.sync(core, { discs: false });
+        const curve = [];
+        for (const charge of this.calibrationCharges) {
+            const prediction = this.predictor.predict({ ...player.getShotParameters(charge, 0, undefined, 0), x: 0 });
+            const end = prediction.rest ?? prediction.path[prediction.path.length - 1];
+            curve.push({
+                charge,
+                distance: prediction.dead ? Infinity : (end.z - player.position.z) * player.direction
+            });
+            yield;
+        }
+
+        this.powerCurves.set(key, curve);
+        return curve;
+    }
+
+    /**
+     * Charge that sends a straight shot the given distance
+     * @param {{charge: number, distance: number}[]} curve - From getPowerCurve()
+     * @param {number} distance - Distance from the delivery spot
+     * @returns {number|null} The charge, or null if no charge gets there
+     */
+    getChargeForDistance(curve, distance) {
+        for (let i = 1; i < curve.length; i++) {
+            const a = curve[i - 1];
+            const b = curve[i];
+            if (distance >= a.distance && distance <= b.distance) {
+                if (!isFinite(b.distance)) {
+                    // Beyond the last shot that stayed on: carry on the slope before it
+                    const c = curve[i - 2];
+                    const slope = c ? (a.charge - c.charge) / (a.distance - c.distance) : 0;
+                    return Math.min(b.charge, a.charge + (distance - a.distance) * slope);
+                }
+                const t = b.distance > a.distance ? (distance - a.distance) / (b.distance - a.distance) : 0;
+                return a.charge + (b.charge - a.charge) * t;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Everything the candidates and the scoring of outcomes need to know
+     * about the position
+     */
+    createContext(core, player, curve) {
+        const me = core.players.indexOf(player);
+        const radius = core.discSet?.radius ?? player.discSet.radius;
+        const layout = core.players.map(p => p.discs.filter(disc => disc.hasBeenShot).map(disc => ({
+            disc,
+            position: disc.getPosition(),
+            radius: disc.radius,
+            dead: disc.dead || !core.world.bodies.includes(disc.body)
+        })));
+        const before = core.scoreLayout(layout);
+        const topValue = this.getTopZoneValue(core, radius);
+
+        return { core, player, me, radius, curve, layout, before, topValue };
+    }
+
+    /**
+     * Shots worth trying from this position, most promising first within
+     * each kind. The kinds are interleaved by preference, so a small budget
+     * still tries each kind the AI likes.
+     * @param {Object} context - From createContext()
+     * @returns {{angle: number, charge: number, spin: number, kind: string}[]}
+     */
+    getCandidates(context) {
+        const { core, player, me, curve, layout, before } = context;
+        const along = (position) => (position.z - player.position.z) * player.direction;
+        const aimAt = (x, z, extra, kind) => {
+            const dx = (x - player.position.x) * player.direction;
+            const dz = (z - player.position.z) * player.direction;
+            const charge = this.getChargeForDistance(curve, Math.hypot(dx, dz) + extra);
+            if (charge === null) return null;
+            return { angle: Math.atan2(dx, dz), charge, spin: 0, kind };
+        };
+
+        const draws = this.findScoringSpots(context).map(spot => aimAt(spot.x, spot.z, 0, 'draw'));
+
+        // Opponent discs worth most first
+        const takeouts = [];
+        layout.forEach((discs, index) => {
+            if (index === me) return;
+            discs.forEach((entry, i) => {
+                if (entry.dead || !entry.position) return;
+                const { value } = before[index].discs[i];
+                this.takeoutDistances.forEach(extra => {
+                    takeouts.push({ value, shot: aimAt(entry.position.x, entry.position.z, extra, 'takeout') });
+                });
+            });
+        });
+        takeouts.sort((a, b) => b.value - a.value);
+
+        const guards = [];
+        layout[me]?.forEach((entry, i) => {
+            if (entry.dead || !entry.position || before[me].discs[i].value <= 0) return;
+            const distance = along(entry.position) - this.guardDistance;
+            const t = distance / along(entry.position);
+            guards.push(aimAt(
+                player.position.x + (entry.position.x - player.position.x) * t,
+                player.position.z + (entry.position.z - player.position.z) * t,
+                0,
+                'guard'
+            ));
+        });
+
+        const lists = Object.entries({ draw: draws, takeout: takeouts.map(({ shot }) => shot), guard: guards })
+            .map(([kind, list]) => ({ list: list.filter(Boolean), share: this.preferences[kind] ?? 1 }))
+            .filter(({ list, share }) => share > 0 && list.length > 0);
+        const candidates = [];
+        while (lists.some(({ list }) => list.length > 0)) {
+            lists.forEach(({ list, share }) => {
+                candidates.push(...list.splice(0, share));
+            });
+        }
+        return candidates.map(shot => ({
+            ...shot,
+            angle: clamp(shot.angle, -player.maxAimAngle, player.maxAimAngle)
+        }));
+    }
+
+    /**
+     * Open spots in the scoring area worth drawing to, best first. Spots in
+     * the middle of a zone rank above spots near its lines, and spots already
+     * covered by a disc are left out.
+     * @param {Object} context - From createContext()
+     * @returns {{x: number, z: number, value: number}[]}
+     */
+    findScoringSpots({ core, radius, layout }) {
+        const spacing = this.spotSpacing;
+        const score = (x, z) => core.board.getScoreForPosition(x, z, radius, core.playDirection)?.value ?? 0;
+        const occupied = layout.flat().filter(entry => !entry.dead && entry.position);
+
+        const spots = [];
+        this.forEachSpot(core, radius, (x, z, value) => {
+            if (value <= 0) return;
+            if (occupied.some(({ position }) => Math.hypot(position.x - x, position.z - z) < radius * 2.5)) return;
+
+            // How many neighbours score the same: a miss by a little
+            // still scores from the middle of a zone
+            const margin = [[spacing, 0], [-spacing, 0], [0, spacing], [0, -spacing]]
+                .filter(([dx, dz]) => score(x + dx, z + dz) === value).length;
+            spots.push({ x, z, value, margin });
+        });
+        spots.sort((a, b) => b.value - a.value || b.margin - a.margin);
+
+        // Keep the spots apart, so the candidates cover different zones
+        const picked = [];
+        spots.forEach(spot => {
+            if (picked.every(other => Math.hypot(other.x - spot.x, other.z - spot.z) > 0.5)) {
+                picked.push(spot);
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * Visits every point of the spot grid over the far half of the board
+     * @param {GameCore} core - The game
+     * @param {number} radius - Radius of the disc being shot
+     * @param {function(number, number, number)} callback - Called with the
+     *   x and z of each point and what a disc there scores
+     */
+    forEachSpot(core, radius, callback) {
+        const board = core.board;
+        const direction = core.playDirection;
+        const halfWidth = board.width / 2 - radius;
+        for (let along = 0; along <= board.length / 2; along += this.spotSpacing) {
+            for (let x = -halfWidth; x <= halfWidth + 1e-6; x += this.spotSpacing) {
+                const z = along * direction;
+                callback(x, z, board.getScoreForPosition(x, z, radius, direction)?.value ?? 0);
+            }
+        }
+    }
+
+    /**
+     * What the best zone on the board is worth to a disc of this size
+     * @param {GameCore} core - The game
+     * @param {number} radius - Radius of the disc being shot
+     * @returns {number}
+     */
+    getTopZoneValue(core, radius) {
+        let top = 0;
+        this.forEachSpot(core, radius, (x, z, value) => {
+            top = Math.max(top, value);
+        });
+        return top;
+    }
+
+    /**
+     * Plays a candidate out in the predictor
+     * @param {Object} context - From createContext()
+     * @param {{angle: number, charge: number, spin: number}} shot
+     * @returns {Object} The prediction from ShotPredictor.predict()
+     */
+    predictShot({ player }, { angle, charge, spin }) {
+        return this.predictor.predict(player.getShotParameters(clamp(charge, 0, 1), spin, undefined, angle));
+    }
+
+    /**
+     * Scores the outcome of a shot for the shooter
+     * @param {Object} context - From createContext()
+     * @param {Object} prediction - From ShotPredictor.predict()
+     * @returns {number} Higher is better
+     */
+    evaluate({ core, me, radius, layout, before, topValue }, prediction) {
+        const weights = this.weights;
+        const moved = new Map(prediction.discs.map(result => [result.source, result]));
+        const after = layout.map(discs => discs.map(entry => {
+            const result = moved.get(entry.disc);
+            return result
+                ? { position: { x: result.x, z: result.z }, radius: entry.radius, dead: result.dead }
+                : entry;
+        }));
+        const rest = prediction.rest ?? prediction.path[prediction.path.length - 1];
+        after[me] = [...(after[me] ?? []), { position: rest, radius, dead: prediction.dead }];
+
+        const scores = core.scoreLayout(after);
+        const own = scores[me]?.total ?? 0;
+        const opponents = scores.reduce((sum, result, i) => sum + (i === me ? 0 : result.total), 0);
+
+        // Opponent discs that scored before the shot and no longer do
+        let knockouts = 0;
+        scores.forEach((result, i) => {
+            if (i === me) return;
+            result.discs.forEach((disc, j) => {
+                if (before[i].discs[j]?.value > 0 && disc.value <= 0) knockouts++;
+            });
+        });
+
+        // Own scoring discs the shot disc now shields from the delivery end
+        let guards = 0;
+        const shotResult = scores[me].discs[scores[me].discs.length - 1];
+        if (!prediction.dead && shotResult.value <= 0 && shotResult.type !== 'out') {
+            after[me].slice(0, -1).forEach((entry, j) => {
+                if (entry.dead || !entry.position || scores[me].discs[j].value <= 0) return;
+                const gap = (entry.position.z - rest.z) * core.playDirection;
+                if (gap > radius * 2 && gap < this.guardDistance * 2.5 &&
+                    Math.abs(entry.position.x - rest.x) < radius * 2) {
+                    guards++;
+                }
+            });
+        }
+
+        const inTopZone = topValue > 0 && shotResult.value === topValue;
+
+        return weights.points * own -
+               weights.opponentPoints * opponents +
+               weights.knockout * knockouts +
+               weights.guard * guards +
+               (inTopZone ? weights.topZone : 0);
+    }
+
+    /**
+     * The shot as the AI actually plays it, with errors scaled by difficulty
+     * @param {{angle: number, charge: number, spin: number}} shot - The intended shot
+     * @param {Player} player - The player shooting
+     * @returns {{angle: number, power: number, spin: number}}
+     */
+    applyNoise({ angle, charge, spin }, player) {
+        const { aiAngleNoise = 0, aiPowerNoise = 0, aiSpinNoise = 0 } = this.difficulty;
+        const noise = this.noise;
+        return {
+            angle: clamp(angle + this.random.normal(0, aiAngleNoise * noise.angle), -player.maxAimAngle, player.maxAimAngle),
+            power: clamp(charge * (1 + this.random.normal(0, aiPowerNoise * noise.power)), 0, 1),
+            spin: clamp(spin + this.random.normal(0, aiSpinNoise * noise.spin), -1, 1)
+        };
+    }
+}
+
+export { DEFAULT_WEIGHTS };
+export default AIPlanner;
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+
+/**
+ * Draws a predicted shot on the board: a line along the path the disc will
+ * take and, where the difficulty allows, a ring where it will stop.
+ */
+class AimGuide {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw in
+     * @param {Object} [options]
+     * @param {number} [options.surfaceY=0.1] - Height of the board surface
+     * @param {number} [options.maxPoints=512] - Most points the path line can hold
+     */
+    constructor(scene, { surfaceY = 0.1, maxPoints = 512 } = {}) {
+        this.scene = scene;
+        this.surfaceY = surfaceY;
+        this.maxPoints = maxPoints;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3));
+        geometry.setDrawRange(0, 0);
+        this.line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.7
+        }));
+        this.line.frustumCulled = false; // The bounds change with every prediction
+
+        this.restSpot = new THREE.Mesh(
+            new THREE.RingGeometry(0.8, 1, 32),
+            new THREE.MeshBasicMaterial({
+                color: 0xffeb3b,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide
+            })
+        );
+        this.restSpot.rotation.x = -Math.PI / 2;
+
+        this.group = new THREE.Group();
+        this.group.add(this.line, this.restSpot);
+        this.group.visible = false;
+        this.scene.add(this.group);
+    }
+
+    /**
+     * Draws a prediction from ShotPredictor.predict()
+     * @param {Object} prediction - The predicted shot
+     * @param {Object} [options]
+     * @param {boolean} [options.showRestSpot=false] - Mark where the disc stops
+     * @param {number} [options.radius=0.2] - Radius of the disc being shot
+     */
+    show(prediction, { showRestSpot = false, radius = 0.2 } = {}) {
+        if (!prediction) {
+            this.hide();
+            return;
+        }
+
+        const points = prediction.path.slice(0, this.maxPoints);
+        const positions = this.line.geometry.attributes.position;
+        // Just above the board and the painted scoring areas
+        const y = this.surfaceY + 0.01;
+        points.forEach((point, i) => positions.setXYZ(i, point.x, y, point.z));
+        positions.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, points.length);
+
+        this.restSpot.visible = showRestSpot && !!prediction.rest && !prediction.dead;
+        if (this.restSpot.visible) {
+            this.restSpot.position.set(prediction.rest.x, y, prediction.rest.z);
+            this.restSpot.scale.setScalar(radius);
+        }
+
+        this.group.visible = true;
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+        this.restSpot.geometry.dispose();
+        this.restSpot.material.dispose();
+    }
+}
+
+export default AimGuide;
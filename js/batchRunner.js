@@ -0,0 +1,355 @@
+import GameCore from './gameCore.js';
+import ShotPredictor from './shotPredictor.js';
+import AIPlanner from './aiPlanner.js';
+import { getRuleSet, DEFAULT_RULE_SET } from './ruleSets.js';
+import { getSurfaceCondition, DEFAULT_SURFACE } from './surfaces.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { getAIPersonality, DEFAULT_AI_PERSONALITY } from './aiPersonalities.js';
+import { DEFAULT_START_POLICY } from './frameOrder.js';
+
+/**
+ * Plays computer-against-computer games headless and adds up the results,
+ * so difficulty levels, personalities and rule sets can be compared over
+ * more games than anyone would watch. Each entrant is a difficulty and a
+ * personality. Game i is seeded with seed + i, so a batch played again
+ * gives the same results, and the entrants swap seats every game so
+ * neither opens more matches than the other.
+ *
+ * Every game is played in the same GameCore and every entrant keeps its
+ * own AIPlanner, so the power curves the planners measure carry over from
+ * game to game. That doesn't make a game depend on the ones before it:
+ * the core starts every game from a reset physics clock, the predictor
+ * resets its own before every shot it tries, and the curves are measured
+ * the same way whenever they are first needed. So a batch can also be
+ * shared out between worker threads in Node (see batchWorker.js), one
+ * core each, and give the same records.
+ */
+class BatchRunner {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.games=100] - Number of games to play
+     * @param {number} [options.seed=1] - Seed of the first game
+     * @param {Object} [options.ruleSet] - Rule set from ruleSets.js
+     * @param {Object} [options.surface] - Surface condition from surfaces.js
+     * @param {Object} [options.discSet] - Disc set from discSets.js
+     * @param {string} [options.startPolicy] - Who opens each frame, see frameOrder.js
+     * @param {{difficulty: string, personality: string}[]} [options.entrants] -
+     *   The two computer players
+     * @param {boolean} [options.swapSeats=true] - Swap the entrants' seats every game
+     * @param {number} [options.maxFrames=40] - Frames after which a game is
+     *   given up as unfinished
+     * @param {Function} [options.onGame] - Called with (record, gamesPlayed)
+     *   after every game
+     * @param {number} [options.budgetScale=0.5] - Share of each difficulty's
+     *   shot budget the AI tries, so a batch plays faster than the game while
+     *   the levels keep their budgets in proportion; 1 tries as many as in play
+     * @param {boolean} [options.debug=false] - Let the games log their debug messages
+     * @param {number} [options.workers=1] - Worker threads to play the games
+     *   on, in Node; 1 plays them all on this thread
+     */
+    constructor({
+        games = 100,
+        seed = 1,
+        ruleSet = getRuleSet(DEFAULT_RULE_SET),
+        surface = getSurfaceCondition(DEFAULT_SURFACE),
+        discSet = getDiscSet(DEFAULT_DISC_SET),
+        startPolicy = DEFAULT_START_POLICY,
+        entrants = [
+            { difficulty: DEFAULT_DIFFICULTY, personality: DEFAULT_AI_PERSONALITY },
+            { difficulty: DEFAULT_DIFFICULTY, personality: DEFAULT_AI_PERSONALITY }
+        ],
+        swapSeats = true,
+        maxFrames = 40,
+        onGame = null,
+        budgetScale = 0.5,
+        debug = false,
+        workers = 1
+    } = {}) {
+        // What a worker needs to set up the same batch
+        this.settings = {
+            games, seed, ruleSet, surface, discSet, startPolicy, entrants,
+            swapSeats, maxFrames, budgetScale, debug
+        };
+        this.games = games;
+        this.seed = seed;
+        this.swapSeats = swapSeats;
+        this.maxFrames = maxFrames;
+        this.onGame = onGame;
+        this.budgetScale = budgetScale;
+        this.workers = Math.max(1, Math.min(workers, games));
+
+        this.core = new GameCore({
+            ruleSet,
+            surface,
+            discSet,
+            startPolicy,
+            players: entrants.map(() => ({ isAI: true })),
+            debug
+        });
+
+        // Both planners try their shots in one predictor; they sync it
+        // before every search
+        const predictor = new ShotPredictor({ timeStep: this.core.simulation.timeStep });
+        this.entrants = entrants.map(({ difficulty, personality }) => {
+            const level = getDifficulty(difficulty);
+            level.aiShotBudget = Math.max(1, Math.round(level.aiShotBudget * budgetScale));
+            const style = getAIPersonality(personality);
+            const planner = new AIPlanner({ predictor, random: this.core.random, difficulty: level });
+            planner.setPersonality(style);
+            return { difficulty: level, personality: style, planner };
+        });
+    }
+
+    /**
+     * Plays the whole batch
+     * @returns {Promise<Object>} The report, as described in createReport()
+     */
+    async run() {
+        const started = performance.now();
+        let records;
+
+        if (this.workers > 1) {
+            records = await this.runOnWorkers();
+        } else {
+            records = [];
+            for (let i = 0; i < this.games; i++) {
+                const record = await this.playBatchGame(i);
+                records.push(record);
+
+                if (typeof this.onGame === 'function') {
+                    this.onGame(record, records.length);
+                }
+            }
+        }
+
+        return this.createReport(records, (performance.now() - started) / 1000);
+    }
+
+    /**
+     * Plays the batch on worker threads, each taking every n-th game. The
+     * workers report every game as it finishes, so onGame() sees them in
+     * the order they finish rather than by seed.
+     * @returns {Promise<Object[]>} The record of every game, by game number
+     */
+    async runOnWorkers() {
+        const { Worker } = await import('node:worker_threads');
+        const records = new Array(this.games);
+        let played = 0;
+
+        const runWorker = (first) => new Promise((resolve, reject) => {
+            const games = [];
+            for (let i = first; i < this.games; i += this.workers) {
+                games.push(i);
+            }
+
+            const worker = new Worker(new URL('./batchWorker.js', import.meta.url), {
+                workerData: { settings: this.settings, games }
+            });
+            worker.on('message', ({ index, record }) => {
+                records[index] = record;
+                played++;
+                if (typeof this.onGame === 'function') {
+                    this.onGame(record, played);
+                }
+            });
+            worker.on('error', reject);
+            worker.on('exit', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`Batch worker stopped with exit code ${code}`));
+                }
+            });
+        });
+
+        const workers = [];
+        for (let first = 0; first < this.workers; first++) {
+            workers.push(runWorker(first));
+        }
+        await Promise.all(workers);
+        return records;
+    }
+
+    /**
+     * Plays game i of the batch, with the entrants in that game's seats
+     * @param {number} i - Number of the game in the batch, from 0
+     * @returns {Promise<Object>} As playGame()
+     */
+    playBatchGame(i) {
+        // seats[seat] is the entrant sitting in that seat
+        const seats = this.entrants.map((_, index) => index);
+        if (this.swapSeats && i % 2 === 1) {
+            seats.reverse();
+        }
+        return this.playGame(this.seed + i, seats);
+    }
+
+    /**
+     * Plays one game to the end, or until it runs out of frames
+     * @param {number} seed - Random seed of the game
+     * @param {number[]} seats - Index of the entrant in each seat
+     * @returns {Promise<Object>} What happened, by entrant: {seed, winner,
+     *   frames, scores, frameTotals, shots, results, zones}
+     */
+    async playGame(seed, seats) {
+        const core = this.core;
+        const count = this.entrants.length;
+        const record = {
+            seed,
+            winner: null, // Entrant index, null when the game was not finished
+            frames: 0,
+            scores: new Array(count).fill(0),
+            frameTotals: new Array(count).fill(0),
+            shots: this.entrants.map(() => ({})),
+            results: this.entrants.map(() => ({})),
+            zones: this.entrants.map(() => ({}))
+        };
+        const tally = (counts, key) => {
+            counts[key] = (counts[key] || 0) + 1;
+        };
+
+        const onFrameEnd = (summary) => {
+            record.frames++;
+            summary.players.forEach(({ index, discs, total }) => {
+                const entrant = seats[index];
+                record.frameTotals[entrant] += total;
+                discs.forEach(disc => {
+                    tally(record.results[entrant], disc.type);
+                    if (disc.zone && disc.counted) {
+                        tally(record.zones[entrant], disc.zone);
+                    }
+                });
+            });
+        };
+        core.on('frameEnd', onFrameEnd);
+
+        try {
+            core.startGame({ seed });
+
+            while (!core.isGameOver && record.frames < this.maxFrames) {
+                if (!core.turn.is('aiming')) {
+                    // Every disc of the frame has been played
+                    await core.startNextFrame();
+                    continue;
+                }
+
+                const entrant = seats[core.currentPlayerIndex];
+                const plan = this.entrants[entrant].planner.planShot(core);
+                if (!plan) {
+                    core.endTurn();
+                    continue;
+                }
+
+                tally(record.shots[entrant], plan.kind || 'plain');
+                core.shoot(plan);
+                core.runUntilSettled();
+
+                if (core.turn.is('sliding', 'settling')) {
+                    throw new Error(`Shot did not settle in game ${seed}`);
+                }
+            }
+
+            core.scores.forEach((score, seat) => {
+                record.scores[seats[seat]] = score;
+            });
+            const winner = core.checkWinCondition();
+            record.winner = core.isGameOver && winner !== null ? seats[winner] : null;
+        } finally {
+            core.off('frameEnd', onFrameEnd);
+            core.stop();
+        }
+
+        return record;
+    }
+
+    /**
+     * Adds up the games of a batch
+     * @param {Object[]} records - Results of playGame()
+     * @param {number} [seconds=0] - Time the batch took
+     * @returns {{games: number, seed: number, ruleSet: string, winningScore: number,
+     *   surface: string, discSet: string, budgetScale: number, unfinished: number,
+     *   averageFrames: number, seconds: number, entrants: Object[]}} The batch settings and, for each
+     *   entrant, its wins, win rate, average final and frame scores, the
+     *   kinds of shot it chose and where its discs finished
+     */
+    createReport(records, seconds = 0) {
+        const games = records.length;
+        const frames = records.reduce((sum, record) => sum + record.frames, 0);
+        const sumCounts = (lists) => lists.reduce((sum, counts) => {
+            Object.entries(counts).forEach(([key, value]) => {
+                sum[key] = (sum[key] || 0) + value;
+            });
+            return sum;
+        }, {});
+
+        return {
+            games,
+            seed: this.seed,
+            ruleSet: this.core.ruleSet.name,
+            winningScore: this.core.winningScore,
+            surface: this.core.board.surface.name,
+            discSet: this.core.discSet.name,
+            budgetScale: this.budgetScale,
+            unfinished: records.filter(record => record.winner === null).length,
+            averageFrames: games > 0 ? frames / games : 0,
+            seconds,
+            entrants: this.entrants.map(({ difficulty, personality }, index) => {
+                const wins = records.filter(record => record.winner === index).length;
+                const points = records.reduce((sum, record) => sum + record.scores[index], 0);
+                const framePoints = records.reduce((sum, record) => sum + record.frameTotals[index], 0);
+                return {
+                    name: `${personality.name} (${difficulty.name})`,
+                    difficulty: difficulty.id,
+                    personality: personality.id,
+                    wins,
+                    winRate: games > 0 ? wins / games : 0,
+                    averageScore: games > 0 ? points / games : 0,
+                    averageFrameScore: frames > 0 ? framePoints / frames : 0,
+                    shots: sumCounts(records.map(record => record.shots[index])),
+                    results: sumCounts(records.map(record => record.results[index])),
+                    zones: sumCounts(records.map(record => record.zones[index]))
+                };
+            })
+        };
+    }
+
+    /**
+     * Lays a report out as text for a terminal
+     * @param {Object} report - Result of run()
+     * @returns {string}
+     */
+    static formatReport(report) {
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const shares = (counts) => {
+            const total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+            return Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([key, value]) => `${key} ${percent(value / total)}`)
+                .join(', ') || 'none';
+        };
+
+        const lines = [
+            `${report.games} games from seed ${report.seed}: ${report.ruleSet} to ${report.winningScore}, ` +
+            `${report.surface}, ${report.discSet}, ${percent(report.budgetScale)} of the AI's shot budget`,
+            `Average frames per game: ${report.averageFrames.toFixed(1)}` +
+            (report.unfinished > 0 ? `, ${report.unfinished} unfinished` : '') +
+            `, ${report.seconds.toFixed(1)}s`
+        ];
+
+        report.entrants.forEach(entrant => {
+            lines.push('');
+            lines.push(entrant.name);
+            lines.push(`  Wins:          ${entrant.wins} (${percent(entrant.winRate)})`);
+            lines.push(`  Average score: ${entrant.averageScore.toFixed(1)}, ` +
+                       `${entrant.averageFrameScore.toFixed(2)} a frame`);
+            lines.push(`  Shots:         ${shares(entrant.shots)}`);
+            lines.push(`  Discs:         ${shares(entrant.results)}`);
+            lines.push(`  Zones:         ${shares(entrant.zones)}`);
+        });
+
+        return lines.join('\n');
+    }
+}
+
+export default BatchRunner;
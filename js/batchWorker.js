@@ -0,0 +1,14 @@
+// Worker thread of a batch shared out by BatchRunner.runOnWorkers(): sets
+// up the same batch, plays the games it was given and posts the record of
+// each back as it finishes.
+
+import { parentPort, workerData } from 'node:worker_threads';
+import BatchRunner from './batchRunner.js';
+
+const { settings, games } = workerData;
+const runner = new BatchRunner(settings);
+
+for (const index of games) {
+    const record = await runner.playBatchGame(index);
+    parentPort.postMessage({ index, record });
+}
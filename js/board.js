@@ -1,26 +1,344 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { createMaterial } from './utils.js';
+import { createCourtDiagram, createTableDiagram, rotateDiagram, scorePosition } from './scoringDiagram.js';
+import { getRuleSet, DEFAULT_RULE_SET } from './ruleSets.js';
+import { getSurfaceCondition, getFrictionScale, DEFAULT_SURFACE } from './surfaces.js';
+import { discMaterial } from './disc.js';
+
+// Collision group of the playing surface. Discs whose centre has gone over
+// an edge stop colliding with it and drop into the gutter.
+const BOARD_GROUP = 2;
 
 class Board {
-    constructor(scene, world) {
+    constructor(scene, world, ruleSet = getRuleSet(DEFAULT_RULE_SET), surface = getSurfaceCondition(DEFAULT_SURFACE)) {
         this.scene = scene;
         this.world = world;
         this.length = 20;
         this.width = 2;
         this.height = 0.1;
-        this.scoringZones = [
-            { min: 18, max: 20, points: 10, color: 0xffff00 },
-            { min: 15, max: 18, points: 8, color: 0x0000ff },
-            { min: 10, max: 15, points: 7, color: 0x00ff00 },
-            { min: 0, max: 10, points: -10, color: 0xff0000 }
-        ];
+        this.ruleSet = ruleSet;
+        this.surface = surface;
+        this.spinCurl = 0.5; // Sideways pull of a spinning disc, as a share of its friction
+        
+        // Gutters run down both sides and an alley across each end, sunk to
+        // the floor and walled in by bumpers
+        this.gutterWidth = 0.4;
+        this.alleyLength = 0.8;
+        this.bumperHeight = 0.25;
+        this.bumperThickness = 0.1;
+
+        this.buildDiagrams(ruleSet);
 
         this.createBoard();
-        this.createScoringZones();
+        if (scene) {
+            this.createScoringZones();
+        }
+    }
+
+    /**
+     * Builds the scoring areas at both ends of the board, keyed by the
+     * direction of play that scores into them: 1 for shots towards +z,
+     * -1 for shots towards -z
+     * @param {Object} ruleSet - The rule set to lay out
+     */
+    buildDiagrams(ruleSet) {
+        const diagram = this.createDiagram(ruleSet);
+        this.diagrams = {
+            1: diagram,
+            [-1]: rotateDiagram(diagram)
+        };
+    }
+
+    /**
+     * The scoring area at the far end for a direction of play
+     * @param {number} [direction=1] - 1 or -1
+     * @returns {Object} The scoring diagram
+     */
+    getDiagram(direction = 1) {
+        return this.diagrams[direction < 0 ? -1 : 1];
+    }
+
+    /**
+     * Builds the scoring diagram for a rule set's layout at the +z end
+     * @param {Object} ruleSet - The rule set to lay out
+     * @returns {Object} The scoring diagram
+     */
+    createDiagram(ruleSet) {
+        const { points, lineRule } = ruleSet;
+
+        if (ruleSet.layout === 'table') {
+            // Bands across the full width, the 3 against the end edge
+            return createTableDiagram({
+                endZ: this.length / 2,
+                width: this.width,
+                points,
+                lineRule
+            });
+        }
+
+        // Scoring triangle at the far end, apex towards the shooter
+        const baseZ = this.length / 2 - 0.5;
+        return createCourtDiagram({
+            apexZ: baseZ - 5,
+            baseZ,
+            baseWidth: this.width * 0.95,
+            points,
+            lineRule
+        });
+    }
+
+    /**
+     * Switches to another rule set, redrawing the scoring area
+     * @param {Object} ruleSet - The rule set to play under
+     */
+    setRuleSet(ruleSet) {
+        this.ruleSet = ruleSet;
+        this.buildDiagrams(ruleSet);
+
+        if (this.scoringZoneGroup) {
+            this.scene.remove(this.scoringZoneGroup);
+            this.scoringZoneGroup.traverse(object => {
+                object.geometry?.dispose();
+                object.material?.map?.dispose();
+                object.material?.dispose();
+            });
+        }
+        if (this.scene) {
+            this.createScoringZones();
+        }
     }
 
     createBoard() {
+        if (this.scene) {
+            this.createBoardMesh();
+            this.createGutterMesh();
+        }
+
+        // Physics board, the same size as the one drawn so discs leave it
+        // where they are seen to
+        const physicsShape = new CANNON.Box(new CANNON.Vec3(
+            this.width / 2,
+            this.height / 2,
+            this.length / 2
+        ));
+        
+        this.material = new CANNON.Material('boardMaterial');
+        this.body = new CANNON.Body({
+            mass: 0,  // Static body
+            shape: physicsShape,
+            material: this.material,
+            position: new CANNON.Vec3(0, this.height / 2, 0),
+            collisionFilterGroup: BOARD_GROUP
+        });
+        this.world.addBody(this.body);
+        this.createBumpers();
+        
+        // Discs touch the board with their whole face, and cannon would apply
+        // its friction at every contact point. The contact is frictionless and
+        // applySurfaceFriction() slows the discs by the surface's friction map.
+        this.discContact = new CANNON.ContactMaterial(discMaterial, this.material, {
+            friction: 0,
+            restitution: this.surface.restitution
+        });
+        this.world.addContactMaterial(this.discContact);
+        
+        this.applySurfaceFriction = this.applySurfaceFriction.bind(this);
+        this.world.addEventListener('preStep', this.applySurfaceFriction);
+    }
+    
+    /**
+     * Half the size of the area inside the bumpers, gutters and alleys included
+     * @returns {{x: number, z: number}}
+     */
+    getOuterExtent() {
+        return {
+            x: this.width / 2 + this.gutterWidth,
+            z: this.length / 2 + this.alleyLength
+        };
+    }
+    
+    /**
+     * Bumper walls around the outside of the gutters and alleys. The floor
+     * of the gutters is the floor around the board (see createPhysicsWorld()).
+     */
+    createBumpers() {
+        this.bumperMaterial = new CANNON.Material('bumperMaterial');
+        this.world.addContactMaterial(new CANNON.ContactMaterial(discMaterial, this.bumperMaterial, {
+            friction: 0,
+            restitution: 0.3
+        }));
+        
+        this.bumpers = this.getBumperLayout().map(({ halfExtents, position }) => {
+            const body = new CANNON.Body({
+                mass: 0,
+                shape: new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z)),
+                material: this.bumperMaterial,
+                position: new CANNON.Vec3(position.x, position.y, position.z)
+            });
+            this.world.addBody(body);
+            return body;
+        });
+    }
+    
+    /**
+     * Size and place of the four bumpers: one down each side and one across
+     * each end, overlapping at the corners
+     * @returns {{halfExtents: Object, position: Object}[]}
+     */
+    getBumperLayout() {
+        const outer = this.getOuterExtent();
+        const half = this.bumperThickness / 2;
+        const y = this.bumperHeight / 2;
+        
+        return [-1, 1].flatMap(side => [
+            {
+                halfExtents: { x: half, y, z: outer.z + this.bumperThickness },
+                position: { x: side * (outer.x + half), y, z: 0 }
+            },
+            {
+                halfExtents: { x: outer.x + this.bumperThickness, y, z: half },
+                position: { x: 0, y, z: side * (outer.z + half) }
+            }
+        ]);
+    }
+    
+    /**
+     * Whether a point lies over the playing surface
+     * @param {number} x - Position across the board
+     * @param {number} z - Position along the board
+     * @returns {boolean}
+     */
+    isOverBoard(x, z) {
+        return Math.abs(x) <= this.width / 2 && Math.abs(z) <= this.length / 2;
+    }
+    
+    /**
+     * Whether a disc has dropped off the playing surface into a gutter, an
+     * alley or onto the floor
+     * @param {CANNON.Body} body - The disc's body
+     * @returns {boolean}
+     */
+    hasFallenOff(body) {
+        // A disc on the board rests with its centre above the surface
+        return body.position.y < this.height;
+    }
+    
+    /**
+     * Changes the surface condition the board is played on
+     * @param {Object} surface - Surface condition from surfaces.js
+     */
+    setSurface(surface) {
+        this.surface = surface;
+        this.discContact.restitution = surface.restitution;
+        
+        if (this.mesh) {
+            this.mesh.material.color.setHex(surface.color);
+            this.mesh.material.roughness = surface.roughness;
+        }
+    }
+    
+    /**
+     * Coefficient of sliding friction at a point along the board
+     * @param {number} z - Position along the board
+     * @returns {number}
+     */
+    getFrictionAt(z) {
+        const along = Math.min(Math.abs(z) / (this.length / 2), 1);
+        return this.surface.friction * getFrictionScale(this.surface, along);
+    }
+    
+    /**
+     * Slows every disc sliding on the board by the friction under it, and
+     * curls spinning discs. Runs after the solver on every physics step, so
+     * the contacts are current.
+     */
+    applySurfaceFriction() {
+        const timeStep = this.world.dt;
+        const gravity = Math.abs(this.world.gravity.y);
+        const slowed = new Set();
+        
+        this.world.contacts.forEach(contact => {
+            const body = contact.bi === this.body ? contact.bj :
+                         contact.bj === this.body ? contact.bi : null;
+            if (!body || body.mass === 0 || slowed.has(body)) return;
+            if (body.sleepState === CANNON.Body.SLEEPING) return;
+            slowed.add(body);
+            
+            // A disc only stays up while its centre is over the board; a
+            // hanger balances on the edge, any further and it tips off
+            if (!this.isOverBoard(body.position.x, body.position.z)) {
+                body.collisionFilterMask &= ~BOARD_GROUP;
+                return;
+            }
+            
+            // Kinetic friction takes a fixed amount of speed each step and
+            // holds the disc once that is more than it has left
+            const velocity = body.velocity;
+            const speed = Math.hypot(velocity.x, velocity.z);
+            const loss = this.getFrictionAt(body.position.z) * gravity * timeStep;
+            if (speed <= loss) {
+                velocity.x = 0;
+                velocity.z = 0;
+            } else {
+                const dirX = velocity.x / speed;
+                const dirZ = velocity.z / speed;
+                const curl = this.getSpinCurl(body, speed, loss);
+                // (dirZ, -dirX) points to the left of the direction of travel
+                velocity.x += -dirX * loss + dirZ * curl;
+                velocity.z += -dirZ * loss - dirX * curl;
+            }
+            
+            this.applySpinFriction(body, speed, loss);
+        });
+    }
+    
+    /**
+     * Friction under a spinning disc is stronger on the side turning against
+     * the direction of travel, which pulls the disc sideways. The pull is
+     * largest when the rim turns fast compared to the slide, so a spinning
+     * disc curls most as it slows down.
+     * @param {CANNON.Body} body - A disc sliding on the board
+     * @param {number} speed - Its sliding speed
+     * @param {number} loss - Speed friction takes from it this step
+     * @returns {number} Change of sideways speed this step, positive to the left
+     */
+    getSpinCurl(body, speed, loss) {
+        const spin = body.angularVelocity.y;
+        if (spin === 0) return 0;
+        
+        const rimSpeed = Math.abs(spin) * this.getDiscRadius(body);
+        return Math.sign(spin) * this.spinCurl * loss * rimSpeed / (speed + rimSpeed);
+    }
+    
+    /**
+     * Friction on the face of a disc also winds its spin down. While the
+     * disc slides fast most of the friction goes into slowing the slide, so
+     * the spin lasts until the disc is nearly at rest.
+     * @param {CANNON.Body} body - A disc on the board
+     * @param {number} speed - Its sliding speed
+     * @param {number} loss - Sliding speed friction takes from it this step
+     */
+    applySpinFriction(body, speed, loss) {
+        const angularVelocity = body.angularVelocity;
+        const radius = this.getDiscRadius(body);
+        const rimSpeed = Math.abs(angularVelocity.y) * radius;
+        if (rimSpeed === 0) return;
+        
+        // Friction acts over the whole face, on average at two thirds of the radius
+        const spinLoss = loss / (radius * 2 / 3) * rimSpeed / (speed + rimSpeed);
+        if (Math.abs(angularVelocity.y) <= spinLoss) {
+            angularVelocity.y = 0;
+        } else {
+            angularVelocity.y -= Math.sign(angularVelocity.y) * spinLoss;
+        }
+    }
+    
+    getDiscRadius(body) {
+        return body.shapes[0]?.radiusTop ?? body.boundingRadius;
+    }
+
+    createBoardMesh() {
         // Visual board - Use a simpler material for better performance
         const geometry = new THREE.BoxGeometry(
             this.width, 
@@ -28,10 +346,10 @@ class Board {
             this.length
         );
         
-        // Create a simple green material for the board
+        // Create a simple green material for the board, shaded by its surface
         const material = new THREE.MeshStandardMaterial({
-            color: 0x2e7d32, // Darker green for the board
-            roughness: 0.7,
+            color: this.surface.color,
+            roughness: this.surface.roughness,
             metalness: 0.1,
             side: THREE.DoubleSide
         });
@@ -41,158 +359,188 @@ class Board {
         this.mesh.receiveShadow = true;
         this.mesh.castShadow = true;
         this.scene.add(this.mesh);
+    }
 
-        // Physics board - make it slightly larger to prevent discs from falling through edges
-        const physicsShape = new CANNON.Box(new CANNON.Vec3(
-            this.width / 2 * 1.01,  // Slightly larger to prevent edge issues
-            this.height / 2,
-            this.length / 2 * 1.01  // Slightly larger to prevent edge issues
-        ));
+    createGutterMesh() {
+        const group = new THREE.Group();
+        const outer = this.getOuterExtent();
         
-        this.body = new CANNON.Body({
-            mass: 0,  // Static body
-            shape: physicsShape,
-            material: new CANNON.Material('boardMaterial')
-        });
+        // Dark trough under the gutters and alleys
+        const trough = new THREE.Mesh(
+            new THREE.PlaneGeometry(outer.x * 2, outer.z * 2),
+            new THREE.MeshStandardMaterial({ color: 0x263238, roughness: 0.9 })
+        );
+        trough.rotation.x = -Math.PI / 2;
+        trough.position.y = 0.001;
+        trough.receiveShadow = true;
+        group.add(trough);
         
-        // Add some friction to the board
-        this.body.material.friction = 0.3;
-        this.body.material.restitution = 0.2;
+        // Padded wooden bumpers
+        const bumperMaterial = createMaterial(0x6d4c41, { roughness: 0.7 });
+        this.getBumperLayout().forEach(({ halfExtents, position }) => {
+            const bumper = new THREE.Mesh(
+                new THREE.BoxGeometry(halfExtents.x * 2, halfExtents.y * 2, halfExtents.z * 2),
+                bumperMaterial
+            );
+            bumper.position.set(position.x, position.y, position.z);
+            bumper.castShadow = true;
+            bumper.receiveShadow = true;
+            group.add(bumper);
+        });
         
-        this.world.addBody(this.body);
+        this.gutterGroup = group;
+        this.scene.add(group);
     }
 
     createScoringZones() {
-        // Add triangle at the end of the board
-        const triangleShape = new THREE.Shape();
-        const triangleSize = this.width * 0.8;
-        const triangleDepth = 2;
-        
-        triangleShape.moveTo(0, 0);
-        triangleShape.lineTo(-triangleSize/2, triangleDepth);
-        triangleShape.lineTo(triangleSize/2, triangleDepth);
-        triangleShape.lineTo(0, 0);
-        
-        const extrudeSettings = {
-            steps: 1,
-            depth: 0.1,
-            bevelEnabled: false
-        };
-        
-        const triangleGeometry = new THREE.ExtrudeGeometry(triangleShape, extrudeSettings);
-        const triangleMaterial = new THREE.MeshStandardMaterial({ 
+        const group = new THREE.Group();
+
+        // One scoring area at each end, labels facing the shooters at the other
+        group.add(this.createScoringArea(this.diagrams[1], Math.PI));
+        group.add(this.createScoringArea(this.diagrams[-1], 0));
+
+        this.scoringZoneGroup = group;
+        this.scene.add(group);
+    }
+
+    /**
+     * Draws one scoring area: the fill, the painted lines and the zone labels
+     * @param {Object} diagram - The scoring diagram to draw
+     * @param {number} labelRotation - Turn of the labels about the board's normal
+     * @returns {THREE.Group}
+     */
+    createScoringArea(diagram, labelRotation) {
+        const group = new THREE.Group();
+        const surfaceY = this.height;
+
+        // Fill under the scoring area
+        const areaShape = new THREE.Shape();
+        diagram.outline.forEach((point, i) => {
+            // Shape y maps to -z once the shape is laid flat
+            if (i === 0) {
+                areaShape.moveTo(point.x, -point.z);
+            } else {
+                areaShape.lineTo(point.x, -point.z);
+            }
+        });
+
+        const areaMaterial = new THREE.MeshStandardMaterial({
             color: 0x8B4513,
             roughness: 0.8,
             metalness: 0.2,
             side: THREE.DoubleSide
         });
-        
-        this.triangle = new THREE.Mesh(triangleGeometry, triangleMaterial);
-        this.triangle.rotation.x = -Math.PI / 2;
-        this.triangle.position.set(0, this.height + 0.05, this.length/2 - 0.1);
-        this.scene.add(this.triangle);
-
-        // Scoring zones
-        const zoneWidth = this.width * 0.8;
-        const zoneHeight = 0.05;
-        const zoneDepth = 0.1;
-        
-        // Define scoring zones with their positions and points
-        const zones = [
-            { position: 0, width: zoneWidth * 0.3, points: 10, color: 0xffffff, outline: true },     // White - 10 points
-            { position: zoneWidth * 0.2, width: zoneWidth * 0.15, points: 8, color: 0xffffff, outline: true },  // White - 8 points
-            { position: -zoneWidth * 0.2, width: zoneWidth * 0.15, points: 8, color: 0xffffff, outline: true }, // White - 8 points
-            { position: zoneWidth * 0.4, width: zoneWidth * 0.2, points: 7, color: 0xffffff, outline: true },   // White - 7 points
-            { position: -zoneWidth * 0.4, width: zoneWidth * 0.2, points: 7, color: 0xffffff, outline: true },  // White - 7 points
-            { position: zoneWidth * 0.65, width: zoneWidth * 0.1, points: -10, color: 0xffffff, outline: true }, // White - -10 points
-            { position: -zoneWidth * 0.65, width: zoneWidth * 0.1, points: -10, color: 0xffffff, outline: true } // White - -10 points
-        ];
-
-        // Create a group to hold all scoring zone elements
-        this.scoringZoneGroup = new THREE.Group();
-        this.scene.add(this.scoringZoneGroup);
-
-        zones.forEach(zone => {
-            // Create the main zone
-            const geometry = new THREE.BoxGeometry(zone.width - 0.02, zoneHeight, zoneDepth - 0.02);
-            const material = new THREE.MeshStandardMaterial({
-                color: zone.color,
-                roughness: 0.5,
-                metalness: 0.2
-            });
-            
-            const zoneMesh = new THREE.Mesh(geometry, material);
-            zoneMesh.position.set(
-                zone.position,
-                this.height + 0.05,
-                this.length/2 - zoneDepth/2
+
+        const area = new THREE.Mesh(new THREE.ShapeGeometry(areaShape), areaMaterial);
+        area.rotation.x = -Math.PI / 2;
+        area.position.y = surfaceY + 0.002;
+        area.receiveShadow = true;
+        group.add(area);
+
+        // Painted lines
+        const lineMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        diagram.lines.forEach(({ from, to }) => {
+            const length = Math.hypot(to.x - from.x, to.z - from.z);
+            const line = new THREE.Mesh(
+                new THREE.BoxGeometry(diagram.lineWidth, 0.002, length + diagram.lineWidth),
+                lineMaterial
             );
-            zoneMesh.userData = { points: zone.points };
-            this.scoringZoneGroup.add(zoneMesh);
-            this.scoringZones.push(zoneMesh);
-
-            // Add outline if needed
-            if (zone.outline) {
-                const outlineGeometry = new THREE.BoxGeometry(zone.width, zoneHeight + 0.01, zoneDepth);
-                const outlineMaterial = new THREE.MeshBasicMaterial({ 
-                    color: 0x000000,
-                    side: THREE.BackSide
-                });
-                const outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
-                outline.position.set(zone.position, this.height + 0.05, this.length/2 - zoneDepth/2);
-                this.scoringZoneGroup.add(outline);
-            }
+            line.position.set((from.x + to.x) / 2, surfaceY + 0.004, (from.z + to.z) / 2);
+            line.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+            group.add(line);
+        });
 
-            // Add text for points
-            if (Math.abs(zone.points) !== 7) { // Skip 7 as it's on the side zones
-                this.createScoreText(zone.position, zone.points);
-            }
+        // Zone labels
+        diagram.zones.forEach(zone => {
+            group.add(this.createScoreText(zone.center.x, zone.center.z, zone.label, labelRotation));
         });
+
+        return group;
     }
 
-    createScoreText(x, points) {
+    createScoreText(x, z, label, rotation = Math.PI) {
         // Create a canvas for the text
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         const size = 256;
         canvas.width = size;
         canvas.height = size;
-        
-        // Draw the text
-        context.font = 'Bold 120px Arial';
+
+        // Draw the text, shrinking longer labels such as "10 OFF"
+        const fontSize = label.length > 3 ? 64 : 120;
+        context.font = `Bold ${fontSize}px Arial`;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         context.fillStyle = '#ffffff';
-        context.fillText(points.toString(), size/2, size/2);
-        
+        context.fillText(label, size/2, size/2);
+
         // Create a texture from the canvas
         const texture = new THREE.CanvasTexture(canvas);
-        
+
         // Create a plane for the text
-        const geometry = new THREE.PlaneGeometry(0.5, 0.5);
+        const geometry = new THREE.PlaneGeometry(0.4, 0.4);
         const material = new THREE.MeshBasicMaterial({
             map: texture,
             transparent: true,
             side: THREE.DoubleSide
         });
-        
+
         const textMesh = new THREE.Mesh(geometry, material);
-        textMesh.position.set(
-            x,
-            this.height + 0.06,
-            this.length/2 - 0.1
-        );
+        textMesh.position.set(x, this.height + 0.006, z);
         textMesh.rotation.x = -Math.PI / 2;
-        this.scoringZoneGroup.add(textMesh);
+        // Face the text towards the shooter at the other end
+        textMesh.rotation.z = rotation;
+        return textMesh;
     }
-    
-    getPointsForPosition(z) {
-        for (const zone of this.scoringZones) {
-            if (z >= zone.min && z <= zone.max) {
-                return zone.points;
-            }
+
+    /**
+     * Scores a disc resting at the given position
+     * @param {number} x - Disc centre across the board
+     * @param {number} z - Disc centre along the board
+     * @param {number} [radius=0] - Disc radius, used for the line rule
+     * @param {number} [direction=1] - Direction of play; discs score in the
+     *   area at the far end
+     * @returns {{value: number, type: string, zone: string|null}|null} The
+     *   score, or null when the disc is not in the scoring diagram
+     */
+    getScoreForPosition(x, z, radius = 0, direction = 1) {
+        if (this.ruleSet.hangerPoints > 0 && this.isHanging(x, z, radius, direction)) {
+            return { value: this.ruleSet.hangerPoints, type: 'hanger', zone: 'hanger' };
+        }
+        return scorePosition(this.getDiagram(direction), x, z, radius);
+    }
+
+    /**
+     * Whether a disc overhangs the far end edge while its centre is still on
+     * the board (a "hanger")
+     * @param {number} x - Disc centre across the board
+     * @param {number} z - Disc centre along the board
+     * @param {number} [radius=0] - Disc radius
+     * @param {number} [direction=1] - Direction of play, which decides the far end
+     * @returns {boolean}
+     */
+    isHanging(x, z, radius = 0, direction = 1) {
+        const end = this.length / 2;
+        const along = direction < 0 ? -z : z;
+        return along <= end && along + radius > end && Math.abs(x) + radius <= this.width / 2;
+    }
+
+    /**
+     * Whether a disc at this position is off the playing surface. Any part of
+     * the disc hanging over a side or end edge puts it out of bounds, except
+     * for hangers when the rule set scores them.
+     * @param {number} x - Disc centre across the board
+     * @param {number} z - Disc centre along the board
+     * @param {number} [radius=0] - Disc radius
+     * @param {number} [direction=1] - Direction of play
+     * @returns {boolean}
+     */
+    isOutOfBounds(x, z, radius = 0, direction = 1) {
+        if (this.ruleSet.hangerPoints > 0 && this.isHanging(x, z, radius, direction)) {
+            return false;
         }
-        return 0;
+        return Math.abs(x) + radius > this.width / 2 ||
+               Math.abs(z) + radius > this.length / 2;
     }
 }
 
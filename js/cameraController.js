@@ -10,6 +10,7 @@ class CameraController {
         this.currentMode = 'follow'; // 'follow', 'orbit', 'free'
         this.followDistance = 10;
         this.followHeight = 5;
+        this.direction = 1; // Direction of play the follow camera looks along (1 is +z)
         this.orbitControls = null;
         
         // Make sure we have a valid renderer and DOM element
@@ -80,8 +81,8 @@ class CameraController {
         if (this.currentMode !== 'follow') return;
         
         // Position camera behind and above the target
-        const offset = new THREE.Vector3(0, this.followHeight, -this.followDistance);
-        offset.applyAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI * 0.1); // Slight downward angle
+        const offset = new THREE.Vector3(0, this.followHeight, -this.followDistance * this.direction);
+        offset.applyAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI * 0.1 * this.direction); // Slight downward angle
         
         const targetPosition = this.target.clone().add(offset);
         this.camera.position.lerp(targetPosition, 0.1);
@@ -92,6 +93,14 @@ class CameraController {
         this.target.copy(target);
     }
 
+    /**
+     * Sets which way the follow camera looks down the board
+     * @param {number} direction - 1 to look towards +z, -1 towards -z
+     */
+    setDirection(direction) {
+        this.direction = direction < 0 ? -1 : 1;
+    }
+
     update(delta) {
         if (this.currentMode === 'follow') {
             this.updateFollowCamera();
@@ -110,7 +119,7 @@ class CameraController {
                 this.camera.position.set(
                     this.target.x,
                     this.target.y + this.followHeight,
-                    this.target.z + this.followDistance
+                    this.target.z - this.followDistance * this.direction
                 );
                 this.camera.lookAt(this.target);
                 break;
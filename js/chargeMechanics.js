@@ -0,0 +1,73 @@
+// Charge mechanics decide how a human player sets the power of a shot.
+// The oscillating meter swings up and down while the shot is held; the
+// linear meter fills once and overcharges if held too long; drag-back sets
+// the power from how far the pointer is pulled back; and the two-stage
+// meter sets the power on release and the accuracy on a second press, the
+// way golf games do. Times are meter seconds, which the meter speed setting
+// scales for every mechanic at once.
+
+import { lookupPreset } from './presets.js';
+
+// oscillating
+//   rate:           how fast the meter swings, in radians per second
+// linear
+//   fillTime:       seconds from empty to full
+//   graceTime:      seconds the meter can be held full before overcharging
+//   overchargeTime: seconds from the start of an overcharge to the worst of it
+//   maxAimError:    aim error of a full overcharge, in radians
+//   wobbleRate:     how fast an overcharged shot wobbles, in radians per second
+// drag
+//   dragScale:      charge per unit of pointer travel (the screen is 2 tall)
+//   keyStep:        change of charge per arrow key press
+// twoStage
+//   fillTime:       seconds for the power to fill; it falls back once full
+//   sweepTime:      seconds for the accuracy marker to cross the whole meter
+//   accuracyTarget: point on the meter (0 to 1) that sends the shot straight
+//   accuracyRange:  distance from the target that gives the full aim error
+//   maxAimError:    aim error of a miss by the whole range, in radians
+const CHARGE_MECHANICS = {
+    oscillating: {
+        id: 'oscillating',
+        name: 'Oscillating Meter',
+        rate: 4
+    },
+    linear: {
+        id: 'linear',
+        name: 'Fill and Release',
+        fillTime: 1.2,
+        graceTime: 0.3,
+        overchargeTime: 1,
+        maxAimError: 0.06,
+        wobbleRate: 9
+    },
+    drag: {
+        id: 'drag',
+        name: 'Drag Back',
+        dragScale: 1.5,
+        keyStep: 0.05
+    },
+    twoStage: {
+        id: 'twoStage',
+        name: 'Power and Accuracy',
+        fillTime: 1.2,
+        sweepTime: 1.5,
+        accuracyTarget: 0.1,
+        accuracyRange: 0.1,
+        maxAimError: 0.08
+    }
+};
+
+const DEFAULT_CHARGE_MECHANIC = 'oscillating';
+
+/**
+ * Looks up a charge mechanic by id
+ * @param {string} id - 'oscillating', 'linear', 'drag' or 'twoStage'
+ * @param {Object} [tuning] - Values to use in place of the mechanic's own
+ * @returns {Object} A copy of the charge mechanic, safe to modify
+ */
+function getChargeMechanic(id, tuning = null) {
+    const mechanic = lookupPreset(CHARGE_MECHANICS, id, 'charge mechanic', DEFAULT_CHARGE_MECHANIC);
+    return { ...mechanic, ...(tuning || {}), id: mechanic.id };
+}
+
+export { CHARGE_MECHANICS, DEFAULT_CHARGE_MECHANIC, getChargeMechanic };
@@ -0,0 +1,27 @@
+// Command line handling for the Node scripts. Arguments come as --name
+// value pairs and bare --flag switches.
+
+/**
+ * Reads --name value pairs and --flag switches
+ * @param {string[]} args - Command line arguments after the script name
+ * @returns {Object} Values by name, true for switches
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${args[i]}`);
+        }
+        const name = args[i].slice(2);
+        const next = args[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[name] = true;
+        } else {
+            options[name] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+export { parseArgs };
@@ -0,0 +1,69 @@
+// Difficulty levels decide how much help a human player gets and how well
+// the AI plays. Practice shows the whole predicted shot; the competitive
+// levels show less of it, down to nothing on hard. The AI tries more shots
+// on the harder levels and plays the one it picks more cleanly.
+
+import { lookupPreset } from './presets.js';
+
+// guideLength:  distance along the predicted path the aiming guide shows,
+//               Infinity for all of it and 0 for no guide
+// showRestSpot: whether the guide marks where the disc will stop
+// aiShotBudget: how many shots the AI simulates before picking one
+// aiAngleNoise, aiPowerNoise, aiSpinNoise: standard deviation of the AI's
+//               execution errors, in radians of aim, fraction of the power
+//               and spin (-1 to 1)
+const DIFFICULTIES = {
+    practice: {
+        id: 'practice',
+        name: 'Practice',
+        guideLength: Infinity,
+        showRestSpot: true,
+        aiShotBudget: 12,
+        aiAngleNoise: 0.02,
+        aiPowerNoise: 0.06,
+        aiSpinNoise: 0.15
+    },
+    easy: {
+        id: 'easy',
+        name: 'Easy',
+        guideLength: 6,
+        showRestSpot: false,
+        aiShotBudget: 12,
+        aiAngleNoise: 0.02,
+        aiPowerNoise: 0.06,
+        aiSpinNoise: 0.15
+    },
+    medium: {
+        id: 'medium',
+        name: 'Medium',
+        guideLength: 3,
+        showRestSpot: false,
+        aiShotBudget: 24,
+        aiAngleNoise: 0.01,
+        aiPowerNoise: 0.03,
+        aiSpinNoise: 0.08
+    },
+    hard: {
+        id: 'hard',
+        name: 'Hard',
+        guideLength: 0,
+        showRestSpot: false,
+        aiShotBudget: 40,
+        aiAngleNoise: 0.004,
+        aiPowerNoise: 0.012,
+        aiSpinNoise: 0.03
+    }
+};
+
+const DEFAULT_DIFFICULTY = 'medium';
+
+/**
+ * Looks up a difficulty level by id
+ * @param {string} id - 'practice', 'easy', 'medium' or 'hard'
+ * @returns {Object} A copy of the difficulty level, safe to modify
+ */
+function getDifficulty(id) {
+    return lookupPreset(DIFFICULTIES, id, 'difficulty', DEFAULT_DIFFICULTY);
+}
+
+export { DIFFICULTIES, DEFAULT_DIFFICULTY, getDifficulty };
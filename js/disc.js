@@ -1,35 +1,78 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { createMaterial } from './utils.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+
+// Discs are slowed by the board's surface friction (see Board) and a little
+// air drag. The material leaves friction and restitution unset so the
+// contact material of each pairing decides them; cannon would otherwise
+// multiply the two materials' values and ignore the contact material.
+const discMaterial = new CANNON.Material('discMaterial');
+
+// Weighted pucks meet with a dull knock rather than a bounce. Cannon's own
+// contact friction acts at every contact point of the rims, which makes it
+// far too strong, so discs have none against each other; the rims grip
+// through handleCollision() instead. Stiff contacts keep heavy discs from
+// sinking into each other on a hard hit.
+const DISC_CONTACT = {
+    friction: 0,
+    restitution: 0.35,
+    contactEquationStiffness: 1e8,
+    contactEquationRelaxation: 3
+};
+
+// Grip between the rims of two discs, which carries spin into collisions
+const RIM_GRIP = 0.2;
+
+// The disc each physics body belongs to, for telling who hit whom
+const discsByBody = new WeakMap();
+
+// A disc slower than this counts as stopped (see isMoving()), and cannon
+// puts it to sleep once it has stayed that slow for SLEEP_TIME seconds.
+// Sleeping discs cost nothing to simulate and wake when something hits them.
+const STOPPED_SPEED = 0.1;
+const SLEEP_TIME = 0.2;
+
+// The cue pushes a disc up to speed over this many seconds before letting go
+const PUSH_TIME = 0.12;
 
 class Disc {
-    constructor(scene, world, x, z, color, playerNum) {
+    constructor(scene, world, x, z, color, playerNum, discSet = getDiscSet(DEFAULT_DISC_SET)) {
         this.scene = scene;
         this.world = world;
         this.playerNum = playerNum;
-        this.radius = 0.2;
-        this.height = 0.1;
+        this.discSet = discSet;
+        this.radius = discSet.radius;
+        this.height = discSet.height;
+        this.mass = discSet.mass;
         this.scored = false;
         this.points = 0;
         this.hasBeenShot = false;
+        this.dead = false; // Fell off the board; out of play until the frame ends
+        this.collecting = null; // Set while the disc is carried back to its rack
+        this.push = null; // Set while the cue pushes the disc up to speed
+        this.preview = null; // {x, y, z} to draw the disc at instead of its body
+        this.lastCollision = null; // {body, step} of the last collision handled
 
-        // Create visual representation
-        const geometry = new THREE.CylinderGeometry(
-            this.radius, 
-            this.radius, 
-            this.height, 
-            32
-        );
-        const material = createMaterial(color, {
-            metalness: 0.8,
-            roughness: 0.2
-        });
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.rotation.x = Math.PI / 2;
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-        this.mesh.position.set(x, this.height / 2, z);
-        this.scene.add(this.mesh);
+        // Create visual representation; headless games have no scene
+        this.mesh = null;
+        if (scene) {
+            const geometry = new THREE.CylinderGeometry(
+                this.radius, 
+                this.radius, 
+                this.height, 
+                32
+            );
+            const material = createMaterial(color, {
+                metalness: discSet.metalness,
+                roughness: discSet.roughness
+            });
+            this.mesh = new THREE.Mesh(geometry, material);
+            this.mesh.castShadow = true;
+            this.mesh.receiveShadow = true;
+            this.mesh.position.set(x, this.height / 2, z);
+            this.scene.add(this.mesh);
+        }
 
         // Create physics body
         const shape = new CANNON.Cylinder(
@@ -39,44 +82,307 @@ class Disc {
             16
         );
         this.body = new CANNON.Body({
-            mass: 1,
+            mass: this.mass,
             shape: shape,
             position: new CANNON.Vec3(x, this.height / 2, z),
-            linearDamping: 0.1,
-            angularDamping: 0.3
+            material: discMaterial,
+            linearDamping: discSet.linearDamping,
+            angularDamping: discSet.angularDamping,
+            allowSleep: true,
+            sleepSpeedLimit: STOPPED_SPEED,
+            sleepTimeLimit: SLEEP_TIME
         });
-        this.body.quaternion.setFromAxisAngle(
-            new CANNON.Vec3(1, 0, 0),
-            Math.PI / 2
-        );
+        // Discs stay flat and can only turn about the vertical axis
+        this.body.angularFactor.set(0, 1, 0);
+        this.body.addEventListener('collide', (event) => this.handleCollision(event));
+        discsByBody.set(this.body, this);
         this.world.addBody(this.body);
+
+        this.applyPush = this.applyPush.bind(this);
     }
 
-    update() {
+    /**
+     * Spin carries into collisions with other discs: the rims rub where they
+     * touch, throwing the struck disc sideways and passing spin across like
+     * a pair of gears. Cannon reports the first touch before it resolves it,
+     * so the velocities are still those of the approach.
+     *
+     * Each collision is announced on the world as a 'discCollision' event
+     * with the two discs, the speed they met at and where they touched.
+     * @param {Object} event - Cannon 'collide' event
+     */
+    handleCollision(event) {
+        const a = this.body;
+        const b = event.body;
+        const other = discsByBody.get(b);
+        // Both discs hear of the collision, once for every point where the
+        // rims touch; handle each pair once
+        if (!a || !other || b.id < a.id) return;
+        const step = this.world.stepnumber;
+        if (this.lastCollision?.body === b && this.lastCollision.step === step) return;
+        this.lastCollision = { body: b, step };
+        
+        // Contact normal across the board, from this disc towards the other
+        const { contact } = event;
+        const sign = contact.bi === a ? 1 : -1;
+        const length = Math.hypot(contact.ni.x, contact.ni.z);
+        if (length === 0) return;
+        const nx = contact.ni.x * sign / length;
+        const nz = contact.ni.z * sign / length;
+        
+        const approach = (a.velocity.x - b.velocity.x) * nx + (a.velocity.z - b.velocity.z) * nz;
+        if (approach <= 0) return;
+        
+        // The contact point, measured from the body it belongs to
+        const [body, offset] = contact.bi === a ? [a, contact.ri] : [b, contact.rj];
+        this.world.dispatchEvent({
+            type: 'discCollision',
+            discA: this,
+            discB: other,
+            speed: approach,
+            position: {
+                x: body.position.x + offset.x,
+                y: body.position.y + offset.y,
+                z: body.position.z + offset.z
+            }
+        });
+        
+        // Speed at which this disc's rim slides past the other's, along the
+        // tangent (nz, -nx)
+        const radiusB = b.shapes[0]?.radiusTop ?? this.radius;
+        const tx = nz;
+        const tz = -nx;
+        const slip = a.angularVelocity.y * this.radius + b.angularVelocity.y * radiusB +
+                     (a.velocity.x - b.velocity.x) * tx + (a.velocity.z - b.velocity.z) * tz;
+        
+        // The rims grip in proportion to how hard the discs meet, at most
+        // enough to stop them sliding past each other
+        const inverseMass = 1 / a.mass + 1 / b.mass;
+        const restitution = this.world.getContactMaterial(discMaterial, discMaterial)?.restitution ??
+                            DISC_CONTACT.restitution;
+        const normalImpulse = (1 + restitution) * approach / inverseMass;
+        const stopImpulse = slip / (3 * inverseMass); // Flat discs: I = m r^2 / 2
+        const impulse = Math.sign(slip) * Math.min(Math.abs(stopImpulse), RIM_GRIP * normalImpulse);
+        
+        if (impulse === 0) return;
+        a.wakeUp();
+        b.wakeUp();
+        b.velocity.x += tx * impulse / b.mass;
+        b.velocity.z += tz * impulse / b.mass;
+        a.velocity.x -= tx * impulse / a.mass;
+        a.velocity.z -= tz * impulse / a.mass;
+        a.angularVelocity.y -= 2 * impulse / (a.mass * this.radius);
+        b.angularVelocity.y -= 2 * impulse / (b.mass * radiusB);
+    }
+
+    update(delta = 0) {
+        if (this.collecting) {
+            this.updateCollecting(delta);
+            return;
+        }
+        if (this.preview && this.mesh) {
+            this.mesh.position.set(this.preview.x, this.preview.y, this.preview.z);
+            return;
+        }
         if (this.body && this.mesh) {
+            // A sleeping disc has not moved since the mesh last followed it
+            if (this.isAsleep()) return;
+            this.mesh.position.copy(this.body.position);
+            this.mesh.quaternion.copy(this.body.quaternion);
+        }
+    }
+
+    /**
+     * Carries the disc back to its rack position in a short arc. The body
+     * leaves the simulation while it travels and returns on reset().
+     * @param {number} duration - Seconds the trip takes
+     * @param {Object} [options]
+     * @param {boolean} [options.returnToPlay=true] - Whether the disc is reset
+     *   once it is back. Dead discs wait in the rack, out of the simulation,
+     *   until the frame ends.
+     * @returns {Promise<void>} Resolves once the disc is back in the rack
+     */
+    collect(duration, { returnToPlay = true } = {}) {
+        return new Promise(resolve => {
+            if (this.body && this.world.bodies.includes(this.body)) {
+                this.world.removeBody(this.body);
+            }
+
+            if (!this.mesh) {
+                if (returnToPlay) this.reset();
+                resolve();
+                return;
+            }
+
+            this.collecting = {
+                from: this.mesh.position.clone(),
+                elapsed: 0,
+                duration: Math.max(duration, 0.001),
+                returnToPlay,
+                resolve
+            };
+        });
+    }
+
+    updateCollecting(delta) {
+        const trip = this.collecting;
+        trip.elapsed += delta;
+        const t = Math.min(trip.elapsed / trip.duration, 1);
+        // Ease in and out, lifting the disc clear of the others on the way
+        const eased = t * t * (3 - 2 * t);
+
+        this.mesh.position.set(
+            trip.from.x + ((this.initialX || 0) - trip.from.x) * eased,
+            this.height / 2 + Math.sin(Math.PI * t) * 0.6,
+            trip.from.z + ((this.initialZ || 0) - trip.from.z) * eased
+        );
+        this.mesh.quaternion.set(0, 0, 0, 1);
+
+        if (t >= 1) {
+            this.collecting = null;
+            if (trip.returnToPlay) this.reset();
+            trip.resolve();
+        }
+    }
+
+    /**
+     * Draws the disc somewhere other than where its body is, e.g. held by
+     * the cue while a shot is lined up
+     * @param {{x: number, y: number, z: number}|null} position - Where to
+     *   draw it, or null to follow the body again
+     */
+    setPreview(position) {
+        this.preview = position;
+        if (!position && this.body && this.mesh) {
             this.mesh.position.copy(this.body.position);
             this.mesh.quaternion.copy(this.body.quaternion);
         }
     }
 
     reset() {
+        this.endPush();
+        this.setPreview(null);
+        if (this.collecting) {
+            // Abandon a trip in progress, e.g. when a new game starts
+            const { resolve } = this.collecting;
+            this.collecting = null;
+            resolve();
+        }
+        if (this.body && !this.world.bodies.includes(this.body)) {
+            this.world.addBody(this.body);
+        }
         if (this.body) {
             this.body.velocity.set(0, 0, 0);
             this.body.angularVelocity.set(0, 0, 0);
             this.body.position.set(this.initialX || 0, this.height / 2, this.initialZ || 0);
-            this.body.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 2);
+            this.body.quaternion.set(0, 0, 0, 1);
+            this.body.collisionFilterMask = -1; // Collides with the board again (see Board)
         }
         if (this.mesh) {
             this.mesh.position.set(this.initialX || 0, this.height / 2, this.initialZ || 0);
             this.mesh.quaternion.set(0, 0, 0, 1);
-            this.mesh.rotation.x = Math.PI / 2;
         }
         this.scored = false;
         this.points = 0;
         this.hasBeenShot = false;
+        this.dead = false;
+    }
+
+    /**
+     * Distance the cue pushes the disc to bring it up to speed. The push
+     * accelerates evenly, so it covers half the distance the release speed
+     * would in the same time.
+     * @param {number} speed - Speed at release
+     * @returns {number}
+     */
+    getPushDistance(speed) {
+        return speed * PUSH_TIME / 2;
+    }
+
+    /**
+     * Slides the disc down the court. The cue picks the disc up behind the
+     * delivery spot and pushes it up to speed, letting go at about the spot;
+     * the push runs in the physics steps, so the disc really travels with
+     * the cue.
+     * @param {number} x - Delivery position across the board
+     * @param {number} surfaceY - Height of the surface the disc slides on
+     * @param {number} z - Delivery position along the board
+     * @param {number} angle - Aim angle in radians (0 is straight down the court)
+     * @param {number} impulse - Magnitude of the impulse given to the disc
+     * @param {number} [spin=0] - Angular velocity about the vertical axis in
+     *   radians per second, given as the cue lets go; positive is
+     *   anticlockwise seen from above
+     */
+    launch(x, surfaceY, z, angle, impulse, spin = 0) {
+        if (!this.body) return;
+
+        const dirX = Math.sin(angle);
+        const dirZ = Math.cos(angle);
+        const speed = impulse / this.mass;
+        const pushDistance = this.getPushDistance(speed);
+
+        this.endPush();
+        this.setPreview(null);
+        this.body.position.set(x - dirX * pushDistance, surfaceY + this.height / 2, z - dirZ * pushDistance);
+        this.body.quaternion.set(0, 0, 0, 1);
+        this.body.velocity.set(0, 0, 0);
+        this.body.angularVelocity.set(0, 0, 0);
+        this.body.wakeUp();
+
+        if (speed > 0) {
+            this.push = { dirX, dirZ, speed, spin, elapsed: 0 };
+            this.world.addEventListener('preStep', this.applyPush);
+        } else {
+            this.body.angularVelocity.set(0, spin, 0);
+        }
+
+        this.hasBeenShot = true;
+        this.update();
+    }
+
+    /**
+     * Drives the disc along with the cue, called before every physics step
+     * while the push lasts. Runs after the board's friction, which the cue
+     * overcomes.
+     */
+    applyPush() {
+        const push = this.push;
+        if (!push || !this.body) return;
+
+        push.elapsed += this.world.dt;
+        const t = Math.min(push.elapsed / PUSH_TIME, 1);
+        const speed = push.speed * t;
+        this.body.velocity.x = push.dirX * speed;
+        this.body.velocity.z = push.dirZ * speed;
+
+        if (t >= 1) {
+            this.body.angularVelocity.set(0, push.spin, 0);
+            this.endPush();
+        } else {
+            this.body.angularVelocity.set(0, 0, 0); // The tang holds the disc square
+        }
+    }
+
+    isBeingPushed() {
+        return !!this.push;
+    }
+
+    endPush() {
+        if (!this.push) return;
+        this.push = null;
+        this.world.removeEventListener('preStep', this.applyPush);
+    }
+
+    getPosition() {
+        return this.body ? this.body.position : this.mesh?.position;
     }
 
     remove() {
+        this.endPush();
+        if (this.collecting) {
+            this.collecting.resolve();
+            this.collecting = null;
+        }
         if (this.body) {
             this.world.removeBody(this.body);
             this.body = null;
@@ -87,12 +393,21 @@ class Disc {
         }
     }
 
+    isAsleep() {
+        return this.body?.sleepState === CANNON.Body.SLEEPING;
+    }
+
     isMoving() {
-        if (!this.body) return false;
-        return this.body.velocity.length() > 0.1 || 
-               this.body.angularVelocity.length() > 0.1;
+        if (this.push) return true;
+        if (!this.body || this.isAsleep()) return false;
+        // Only sliding across the board counts; a disc over an edge of the
+        // board can keep bobbing up and down in place
+        const { x, z } = this.body.velocity;
+        return Math.hypot(x, z) > STOPPED_SPEED || 
+               this.body.angularVelocity.length() > STOPPED_SPEED;
     }
 }
 
+export { discMaterial, DISC_CONTACT };
 export default Disc;
 
@@ -0,0 +1,100 @@
+// Disc sets describe the discs a match is played with. Each has the size and
+// weight of its discs, how quickly air drag slows them and what they are made
+// of, which decides how they knock into each other and how they are drawn.
+// Players push heavier discs harder, so a given power sends any set about
+// the same distance; heavy discs just hit harder and are harder to move.
+
+import { lookupPreset } from './presets.js';
+
+// radius, height:  size of a disc in board units (the board is 2 wide)
+// mass:            weight of a disc
+// linearDamping, angularDamping: air drag on the slide and on spin
+// restitution:     bounce of two discs knocking together
+// metalness, roughness: how the discs are drawn
+const DISC_SETS = {
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        radius: 0.2,
+        height: 0.1,
+        mass: 1,
+        linearDamping: 0.15,
+        angularDamping: 0.3,
+        restitution: 0.35,
+        metalness: 0.8,
+        roughness: 0.2
+    },
+    court: {
+        id: 'court',
+        name: 'Court Discs',
+        radius: 0.25,        // Wide and flat, like 6" court discs
+        height: 0.08,
+        mass: 1.6,
+        linearDamping: 0.14,
+        angularDamping: 0.3,
+        restitution: 0.3,    // Hard plastic meets with a dull knock
+        metalness: 0.1,
+        roughness: 0.6
+    },
+    tableLarge: {
+        id: 'tableLarge',
+        name: 'Table Weights (Large)',
+        radius: 0.22,
+        height: 0.11,
+        mass: 1.3,
+        linearDamping: 0.15,
+        angularDamping: 0.3,
+        restitution: 0.4,    // Steel weights ring off each other
+        metalness: 0.9,
+        roughness: 0.15
+    },
+    tableSmall: {
+        id: 'tableSmall',
+        name: 'Table Weights (Small)',
+        radius: 0.16,
+        height: 0.09,
+        mass: 0.7,
+        linearDamping: 0.15,
+        angularDamping: 0.3,
+        restitution: 0.4,
+        metalness: 0.9,
+        roughness: 0.15
+    },
+    stones: {
+        id: 'stones',
+        name: 'Curling Stones',
+        radius: 0.27,        // Largest set that still fits the rack beside the bumpers
+        height: 0.14,
+        mass: 2.5,
+        linearDamping: 0.13,
+        angularDamping: 0.2,
+        restitution: 0.2,
+        metalness: 0,
+        roughness: 0.9
+    },
+    caps: {
+        id: 'caps',
+        name: 'Bottle Caps',
+        radius: 0.15,
+        height: 0.05,
+        mass: 0.3,
+        linearDamping: 0.17, // Light enough for the air to matter
+        angularDamping: 0.5,
+        restitution: 0.6,
+        metalness: 0.9,
+        roughness: 0.3
+    }
+};
+
+const DEFAULT_DISC_SET = 'standard';
+
+/**
+ * Looks up a disc set by id
+ * @param {string} id - 'standard', 'court', 'tableLarge', 'tableSmall', 'stones' or 'caps'
+ * @returns {Object} A copy of the disc set, safe to modify
+ */
+function getDiscSet(id) {
+    return lookupPreset(DISC_SETS, id, 'disc set', DEFAULT_DISC_SET);
+}
+
+export { DISC_SETS, DEFAULT_DISC_SET, getDiscSet };
@@ -0,0 +1,48 @@
+/**
+ * Lets listeners subscribe to named events with on() and unsubscribe with
+ * off(). emit() calls every listener of an event in the order they
+ * subscribed. A listener that throws stops the event there and the error
+ * reaches whoever emitted it, so bugs in listeners aren't hidden.
+ */
+class EventEmitter {
+    constructor() {
+        this._callbacks = {};
+    }
+
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} [callback] - The listener to remove; every listener
+     *   of the event if omitted
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return this;
+
+        if (callback) {
+            const index = this._callbacks[event].indexOf(callback);
+            if (index !== -1) this._callbacks[event].splice(index, 1);
+        } else {
+            delete this._callbacks[event];
+        }
+
+        return this;
+    }
+
+    emit(event, ...args) {
+        const callbacks = this._callbacks[event];
+        if (callbacks) {
+            // Listeners may unsubscribe while the event is being sent
+            [...callbacks].forEach(callback => callback(...args));
+        }
+        return this;
+    }
+}
+
+export default EventEmitter;
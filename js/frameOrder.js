@@ -0,0 +1,69 @@
+// Decides the shooting order of each frame. Players shoot alternately from
+// the first player round, so whoever shoots last holds the "hammer": the
+// final disc of the frame, which nobody can answer.
+
+// Policies for choosing who opens a frame after the first
+const START_POLICIES = {
+    loser: 'Loser of last frame',
+    alternate: 'Alternate',
+    fixed: 'Player 1 always'
+};
+
+const DEFAULT_START_POLICY = 'alternate';
+
+/**
+ * The player who shoots last when play starts with firstPlayer
+ * @param {number} firstPlayer - Index of the player who opens the frame
+ * @param {number} playerCount - Number of players in the game
+ * @returns {number} Index of the player holding the hammer
+ */
+function getHammer(firstPlayer, playerCount) {
+    return (firstPlayer + playerCount - 1) % playerCount;
+}
+
+/**
+ * Chooses who opens the next frame
+ * @param {string} policy - One of the START_POLICIES keys
+ * @param {Object} options
+ * @param {number} options.playerCount - Number of players in the game
+ * @param {Object|null} [options.previousFrame] - {firstPlayer, totals} of the last frame
+ * @param {number} [options.fixedPlayer=0] - Opener for the first frame and the 'fixed' policy
+ * @returns {number} Index of the first player
+ */
+function chooseFirstPlayer(policy, { playerCount, previousFrame = null, fixedPlayer = 0 }) {
+    if (!START_POLICIES[policy]) {
+        console.warn(`Unknown start policy: ${policy}, using ${DEFAULT_START_POLICY}`);
+        policy = DEFAULT_START_POLICY;
+    }
+
+    if (!previousFrame || policy === 'fixed') {
+        return fixedPlayer;
+    }
+
+    const alternate = (previousFrame.firstPlayer + 1) % playerCount;
+
+    if (policy === 'loser') {
+        // The lowest scorer of the last frame opens; on a tie keep alternating
+        const lowest = Math.min(...previousFrame.totals);
+        const losers = previousFrame.totals.filter(total => total === lowest);
+        return losers.length === 1 ? previousFrame.totals.indexOf(lowest) : alternate;
+    }
+
+    return alternate;
+}
+
+/**
+ * Works out the order of the next frame
+ * @param {string} policy - One of the START_POLICIES keys
+ * @param {Object} options - As for chooseFirstPlayer()
+ * @returns {{firstPlayer: number, hammer: number}}
+ */
+function planFrame(policy, options) {
+    const firstPlayer = chooseFirstPlayer(policy, options);
+    return {
+        firstPlayer,
+        hammer: getHammer(firstPlayer, options.playerCount)
+    };
+}
+
+export { START_POLICIES, DEFAULT_START_POLICY, getHammer, chooseFirstPlayer, planFrame };
@@ -2,16 +2,28 @@ console.log('[DEBUG] Starting game.js execution');
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import * as CANNON from 'cannon-es';
 import Stats from 'three/examples/jsm/libs/stats.module';
-import Board from './board.js';
+import GameCore from './gameCore.js';
+import ShotPredictor from './shotPredictor.js';
+import AimGuide from './aimGuide.js';
+import AIPlanner from './aiPlanner.js';
+import AdaptiveDifficulty from './adaptiveDifficulty.js';
+import OnlineClient from './onlineClient.js';
+import Random from './random.js';
 
 console.log('[DEBUG] All imports loaded successfully');
-import Player from './player.js';
 import CameraController from './cameraController.js';
 import InputHandler from './inputHandler.js';
 import UIManager from './uiManager.js';
-import { clamp, randomInt, lerp } from './utils.js';
+import { getRuleSet, DEFAULT_RULE_SET } from './ruleSets.js';
+import { DEFAULT_START_POLICY } from './frameOrder.js';
+import { getSurfaceCondition, DEFAULT_SURFACE } from './surfaces.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { getChargeMechanic, DEFAULT_CHARGE_MECHANIC } from './chargeMechanics.js';
+import { getAIPersonality, DEFAULT_AI_PERSONALITY } from './aiPersonalities.js';
+import { getMatchFormat, DEFAULT_MATCH_FORMAT, PLAYER_COLORS } from './matchFormats.js';
+import { clamp, randomInt, lerp, radToDeg } from './utils.js';
 
 class ShuffleboardGame {
     constructor() {
@@ -26,17 +38,49 @@ class ShuffleboardGame {
             this.clock = new THREE.Clock();
             this.stats = null;
             
-            // Physics
-            this.world = null;
+            // Rules, physics and turn flow, kept apart from rendering and UI
+            this.core = null;
             this.timeStep = 1 / 60;
             this.maxSubSteps = 3;
-            
-            // Game objects
-            this.board = null;
-            this.players = [];
-            this.currentPlayerIndex = 0;
             this.discs = [];
             
+            // Aiming guide: the shot is predicted in a copy of the physics
+            // world every guideInterval seconds while the aim changes
+            this.shotPredictor = null;
+            this.aimGuide = null;
+            this.guideInterval = 0.1;
+            this.guideTimer = 0;
+            this.guideShotKey = null; // The aim, power and spin last predicted
+            this.guideCharge = 0.65;  // Power predicted before charging, until a shot sets it
+            
+            // Computer players: one planner tries shots in the shot
+            // predictor for all of them, each in the style of its own
+            // personality (by player index)
+            this.aiPlanner = null;
+            this.aiPersonalities = [
+                getAIPersonality(DEFAULT_AI_PERSONALITY),
+                getAIPersonality(DEFAULT_AI_PERSONALITY)
+            ];
+            this.lastAIPlan = null;
+            
+            // Spectator mode: the computer plays both sides while the user
+            // watches, at a speed they can change
+            this.spectating = false;
+            this.hotSeat = false; // Two to four people taking turns at this computer
+            this.speed = 1;
+            this.speedStep = 0.5;
+            this.frameSummaryTime = 4000; // Milliseconds a watched match shows each frame summary
+            
+            // Online play: the opponent's shots come in over the connection
+            // and are played out here as if they had been taken locally
+            this.online = new OnlineClient();
+            this.onlineMatch = null; // The match being played online, as the server started it
+            
+            // Adaptive AI: the AI's level follows the score gap and how well
+            // the human has been shooting
+            this.adaptiveDifficulty = new AdaptiveDifficulty();
+            this.humanShotLead = null; // The shooter's frame lead when their shot was played
+            
             // Game state management
             this.state = {
                 value: 'loading', // loading, menu, playing, paused, gameOver
@@ -44,12 +88,14 @@ class ShuffleboardGame {
                 onStateChangeCallbacks: new Set(),
                 isPaused: false
             };
-            this.scores = [0, 0];
-            this.winningScore = 75;
-            this.round = 1;
+            
+            this.discCollectTime = 0.8; // Seconds to carry discs back between frames
             this.turnTimeLimit = 30; // seconds
             this.turnTimer = 0;
             this.turnTimerInterval = null;
+            this.spinDragStart = 0; // Pointer x when charging began; dragging from it sets spin
+            this.spinDragScale = 2.5; // Spin per unit of pointer travel (the screen is 2 wide)
+            this.powerDragStart = 0; // Pointer y when charging began; drag-back charging pulls down from it
             
             // Debug mode
             this.debug = {
@@ -80,6 +126,9 @@ class ShuffleboardGame {
                 controls: {
                     sensitivity: 0.002,
                     invertY: false,
+                    chargeMechanic: DEFAULT_CHARGE_MECHANIC, // oscillating, linear, drag, twoStage
+                    chargeSpeed: 1, // Meter speed, 0.5 (slow) to 2 (fast)
+                    chargeTuning: null, // Values to use in place of a mechanic's own, by mechanic id
                     keybinds: {
                         forward: 'KeyW',
                         back: 'KeyS',
@@ -90,10 +139,27 @@ class ShuffleboardGame {
                     }
                 },
                 game: {
-                    difficulty: 'medium', // easy, medium, hard
+                    difficulty: DEFAULT_DIFFICULTY, // practice, easy, medium, hard
+                    aimGuide: true, // Show the predicted shot, as far as the difficulty allows
+                    mode: 'single', // single (you against the computer), spectate (computer against computer), hotseat, online
+                    playerCount: 2, // Players in a hot-seat game, 2 to 4
+                    matchFormat: DEFAULT_MATCH_FORMAT, // singles, doubles
+                    playerSetup: PLAYER_COLORS.map((color, index) => ({ name: `Player ${index + 1}`, color })), // Hot-seat names and disc colours
+                    onlineName: '', // Name shown to online opponents
+                    onlineServer: '', // WebSocket URL of the online server, '' for the default
                     aiEnabled: true,
+                    aiPersonality: DEFAULT_AI_PERSONALITY, // balanced, knocker, placer, riskTaker
+                    spectatorPersonality: DEFAULT_AI_PERSONALITY, // Player 1's personality in spectator mode
+                    spectatorSpeed: 1, // Speed of a watched match, 0.5 to 4
+                    adaptiveAI: false, // Let the AI's level follow the human's form instead of the difficulty
                     turnTimeLimit: 30,
+                    ruleSet: DEFAULT_RULE_SET, // court, table, custom
                     winningScore: 75,
+                    customRules: null, // Values from the custom rule editor
+                    startPolicy: DEFAULT_START_POLICY, // loser, alternate, fixed
+                    surface: DEFAULT_SURFACE, // waxed, dry, wet, sand
+                    discSet: DEFAULT_DISC_SET, // standard, court, tableLarge, tableSmall, stones, caps
+                    seed: null, // Fixed random seed for reproducible games, null for a new one each game
                     cameraMode: 'follow' // follow, free, orbit
                 }
             };
@@ -132,6 +198,10 @@ class ShuffleboardGame {
                 return () => {};
             };
             
+            // Sub-phases of a turn while the game is 'playing'
+            this.getTurnPhase = () => this.turn.value;
+            this.onTurnPhaseChange = (callback) => this.turn.onStateChange(callback);
+            
             // Bind methods that are used as event handlers
             this.onWindowResize = () => {
                 try {
@@ -152,10 +222,6 @@ class ShuffleboardGame {
                 }
             };
             
-            this.animate = () => {
-                // Animation loop
-            };
-            
             // Initialize the game
             this.init().catch(error => {
                 console.error('Failed to initialize game:', error);
@@ -193,114 +259,30 @@ class ShuffleboardGame {
                 throw error;
             }
             
-            console.log('Setting up physics...');
+            console.log('Setting up physics, board and players...');
             this.ui.updateLoadingText('Setting up physics...');
-            this.setupPhysics();
-            
-            // Store world in scene's userData for easy access
-            this.scene.userData.world = this.world;
-            
-            console.log('Creating game board...');
-            this.ui.updateLoadingText('Creating game board...');
-            this.board = new Board(this.scene, this.world);
+            this.setupCore();
             
             console.log('Setting up lights...');
             this.ui.updateLoadingText('Setting up lighting...');
             this.setupLights();
             
-            console.log('Setting up players...');
-            this.ui.updateLoadingText('Setting up players...');
-            this.setupPlayers();
-            
             console.log('Setting up event listeners...');
-            this.setupEventListeners = () => {
-                try {
-                    console.log('[DEBUG] Setting up game event listeners...');
-                    
-                    // Window resize handler
-                    window.addEventListener('resize', this.onWindowResize);
-                    
-                    // UI event listeners
-                    if (this.ui) {
-                        // Game controls
-                        this.ui.on('startGame', () => this.startGame());
-                        this.ui.on('pauseGame', () => this.togglePause());
-                        this.ui.on('resumeGame', () => this.resumeGame());
-                        this.ui.on('quitToMenu', () => this.returnToMainMenu());
-                        this.ui.on('restartGame', () => this.restartGame());
-                        
-                        // Settings changes
-                        this.ui.on('volumeChange', (volume) => {
-                            this.settings.audio.masterVolume = volume;
-                            this.applyAudioSettings();
-                        });
-                        
-                        this.ui.on('graphicsQualityChange', (quality) => {
-                            this.settings.graphics.quality = quality;
-                            this.applyGraphicsSettings();
-                        });
-                        
-                        // Player actions
-                        this.ui.on('playerShoot', (power, angle) => {
-                            if (this.getState() === 'playing' && this.currentPlayer) {
-                                this.currentPlayer.shoot(power, angle);
-                            }
-                        });
-                        
-                        // Error handling
-                        this.ui.on('error', (error) => {
-                            console.error('UI Error:', error);
-                            this.showError(error.message || 'An unknown UI error occurred');
-                        });
-                    }
-                    
-                    // Input handling
-                    if (this.input) {
-                        // Keyboard controls
-                        this.input.on('keydown', (key) => this.handleKeyDown(key));
-                        this.input.on('keyup', (key) => this.handleKeyUp(key));
-                        
-                        // Mouse/touch controls
-                        this.input.on('pointerdown', (position) => this.handlePointerDown(position));
-                        this.input.on('pointermove', (position) => this.handlePointerMove(position));
-                        this.input.on('pointerup', (position) => this.handlePointerUp(position));
-                    }
-                    
-                    // Game state change listeners
-                    this.onStateChange((newState, oldState) => {
-                        console.log(`[DEBUG] Game state changed: ${oldState} -> ${newState}`);
-                        
-                        // Update UI based on state changes
-                        if (this.ui) {
-                            switch (newState) {
-                                case 'menu':
-                                    this.ui.showScreen('menu');
-                                    break;
-                                case 'playing':
-                                    this.ui.showScreen('game');
-                                    break;
-                                case 'paused':
-                                    this.ui.showMessage('Game Paused', 'The game is paused', 'Resume', () => this.resumeGame());
-                                    break;
-                                case 'gameOver':
-                                    this.ui.showScreen('gameOver');
-                                    break;
-                            }
-                        }
-                    });
-                    
-                    console.log('[DEBUG] Game event listeners set up successfully');
-                    
-                } catch (error) {
-                    console.error('Error setting up event listeners:', error);
-                    throw error;
-                }
-            };
-            
             this.setupEventListeners();
             
             console.log('Loading settings...');
             this.loadSettings();
+            this.applyRuleSet();
+            this.applySurface();
+            this.applyDiscSet();
+            this.applyChargeMechanic();
+            this.applyAIPersonality();
+            this.ui.updateGameModeMenu(this.settings.game.mode, this.settings.game.spectatorSpeed);
+            this.updatePlayerSetupMenu();
+            this.ui.updateOnlineMenu(this.settings.game.onlineName, this.getOnlineServer());
+            this.ui.updateStartPolicyMenu(this.settings.game.startPolicy);
+            this.ui.updateDifficultyMenu(this.settings.game.difficulty, this.settings.game.aimGuide,
+                                         this.settings.game.adaptiveAI);
             
             // Add a small delay to ensure everything is loaded
             console.log('Finalizing initialization...');
@@ -405,96 +387,102 @@ class ShuffleboardGame {
         }
     }
 
-    setupPhysics() {
-        // Create physics world with improved settings
-        this.world = new CANNON.World({
-            gravity: new CANNON.Vec3(0, -15, 0), // Slightly stronger gravity for better physics
-            broadphase: new CANNON.SAPBroadphase(),
-            defaultContactMaterial: {
-                friction: 0.3,
-                restitution: 0.5,
-                contactEquationStiffness: 1e6,
-                contactEquationRelaxation: 3,
-                frictionEquationStiffness: 1e6,
-                frictionEquationRelaxation: 2
-            },
-            solver: new CANNON.GSSolver()
-        });
-        
-        // Optimize physics simulation
-        this.world.allowSleep = true;
-        this.world.broadphase.useBoundingBoxes = true;
-        this.world.defaultContactMaterial.contactEquationStiffness = 1e9;
-        this.world.defaultContactMaterial.contactEquationRelaxation = 4;
-        
-        // Set solver iterations based on performance
-        this.world.solver.iterations = 10;
-        this.world.solver.tolerance = 0.1;
-        
-        // Materials
-        const groundMaterial = new CANNON.Material('groundMaterial');
-        const wheelMaterial = new CANNON.Material('wheelMaterial');
-        
-        // Contact material between wheel and ground
-        const wheelGroundContactMaterial = new CANNON.ContactMaterial(
-            wheelMaterial,
-            groundMaterial,
-            {
-                friction: 0.3,
-                restitution: 0.7,
-                contactEquationStiffness: 1000
-            }
-        );
-        this.world.addContactMaterial(wheelGroundContactMaterial);
-        
-        // Create ground plane
-        const groundShape = new CANNON.Plane();
-        const groundBody = new CANNON.Body({
-            mass: 0, // Static body
-            shape: groundShape,
-            material: groundMaterial
-        });
-        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-        this.world.addBody(groundBody);
-        
-        // Store materials for later use
-        this.materials = {
-            ground: groundMaterial,
-            wheel: wheelMaterial
-        };
-    }
-
-    setupPlayers() {
+    /**
+     * Creates the game core, which owns the physics world, the board, the
+     * players and the turn cycle, and hooks its events up to the camera and UI
+     */
+    setupCore() {
         try {
-            // Clear any existing players
-            this.players = [];
-            
-            // Make sure scene has world reference
-            this.scene.userData.world = this.world;
-            
-            // Create player 1 (human)
-            const player1 = new Player(this.scene, false); // Pass scene and isAI flag
-            this.players.push(player1);
-            
-            // Create player 2 (AI if enabled, otherwise human)
-            const player2 = new Player(this.scene, this.settings.game.aiEnabled);
-            this.players.push(player2);
-            
-            // Set current player to player 1
-            this.currentPlayerIndex = 0;
-            
-            // Initialize scores
-            this.scores = [0, 0];
+            const { players, format } = this.getLineUp();
+            this.core = new GameCore({
+                scene: this.scene,
+                startPolicy: this.settings.game.startPolicy,
+                players,
+                format,
+                timeStep: this.timeStep,
+                maxStepsPerUpdate: this.maxSubSteps,
+                discCollectTime: this.discCollectTime,
+                debug: this.debug.enabled
+            });
+            this.shotPredictor = new ShotPredictor({ timeStep: this.timeStep });
+            this.aimGuide = new AimGuide(this.scene, { surfaceY: this.board.height });
+            // The AI tries its shots in the same predictor; the guide
+            // re-syncs it at the start of every human turn
+            this.aiPlanner = new AIPlanner({ predictor: this.shotPredictor, random: this.random });
+            
+            this.core.on('turnStart', (event) => this.handleTurnStart(event));
+            this.core.on('turnEnd', () => this.handleTurnEnd());
+            this.core.on('frameEnd', (summary) => this.handleFrameEnd(summary));
+            this.core.on('shot', ({ playerIndex, input }) => {
+                this.handleShot(playerIndex);
+                this.sendOnlineShot(playerIndex, input);
+            });
+            this.core.on('shotSettled', ({ playerIndex }) => this.handleShotSettled(playerIndex));
+            this.core.on('gameOver', ({ winner }) => this.endGame(winner + 1));
+            this.core.on('collision', ({ playerIndices, speed }) => {
+                if (this.debug.enabled) {
+                    console.log(`[DEBUG] Collision between Player ${playerIndices[0] + 1} and Player ${playerIndices[1] + 1} discs at ${speed.toFixed(2)}`);
+                }
+            });
             
             // Update UI with player information
-            this.ui.updatePlayerInfo(this.players[0], this.players[1]);
+            this.updateScoreboard();
             
         } catch (error) {
-            console.error('Error setting up players:', error);
+            console.error('Error setting up game core:', error);
             throw error;
         }
     }
 
+    // Game state lives in the core; these keep it to hand for the UI and AI
+    get world() {
+        return this.core?.world ?? null;
+    }
+
+    get simulation() {
+        return this.core?.simulation ?? null;
+    }
+
+    get board() {
+        return this.core?.board ?? null;
+    }
+
+    get players() {
+        return this.core?.players ?? [];
+    }
+
+    get turn() {
+        return this.core?.turn ?? null;
+    }
+
+    get random() {
+        return this.core?.random ?? null;
+    }
+
+    get seed() {
+        return this.core?.seed ?? null;
+    }
+
+    get ruleSet() {
+        return this.core?.ruleSet ?? null;
+    }
+
+    get scores() {
+        return this.core?.scores ?? [0, 0];
+    }
+
+    get round() {
+        return this.core?.round ?? 1;
+    }
+
+    get frameOrder() {
+        return this.core?.frameOrder ?? null;
+    }
+
+    get currentPlayerIndex() {
+        return this.core?.currentPlayerIndex ?? 0;
+    }
+
     setupLights() {
         // Clear existing lights
         while(this.scene.children.length > 0) {
@@ -624,8 +612,12 @@ class ShuffleboardGame {
         try {
             console.log('[DEBUG] Showing main menu');
             
-            // Update game state
+            // Update game state, abandoning any turn in progress
             this.setState('menu');
+            this.stopTurnTimer();
+            this.clearAITimeout();
+            this.core?.stop();
+            this.leaveOnlineMatch();
             
             // Reset camera position for menu
             if (this.camera && this.cameraController) {
@@ -634,11 +626,10 @@ class ShuffleboardGame {
             
             // Show main menu in UI
             if (this.ui) {
-                this.ui.showScreen('mainMenu');
+                this.ui.showScreen('menu');
                 
                 // Set up menu event listeners if not already set
                 if (!this._menuListenersSet) {
-                    this.ui.on('startGame', () => this.startGame());
                     this.ui.on('openSettings', () => this.showSettings());
                     this.ui.on('quitGame', () => this.quitGame());
                     this._menuListenersSet = true;
@@ -657,252 +648,406 @@ class ShuffleboardGame {
         }
     }
 
-    startTurn() {
-        // Update game state
-        this.gameState = 'aiming';
-        const currentPlayer = this.getCurrentPlayer();
-        
-        // Reset disc positions if needed
-        if (currentPlayer.discs.every(disc => disc.hasBeenShot)) {
-            currentPlayer.resetDiscs();
-        }
-        
+    /**
+     * Sets the camera and UI up for a turn the core has started, and lets the
+     * AI take its shot
+     * @param {Object} event - 'turnStart' event from the core
+     * @param {number} event.playerIndex - Index of the player to shoot
+     * @param {Player} event.player - The player to shoot
+     * @param {boolean} event.frameOpening - Whether this is the first shot of a frame
+     */
+    handleTurnStart({ playerIndex, player: currentPlayer, frameOpening }) {
         // Update camera for current player
         this.updateCameraForPlayer();
         
-        // Start turn timer
-        this.startTurnTimer();
+        // Start turn timer; an online opponent keeps time on their side
+        if (!currentPlayer.isRemote) {
+            this.startTurnTimer();
+        }
         
         // Update UI
-        this.ui.updateTurnIndicator(this.currentPlayerIndex + 1);
-        this.ui.updateScores(this.scores[0], this.scores[1]);
-        this.ui.showMessage(`Player ${this.currentPlayerIndex + 1}'s turn`, 1000);
+        this.ui.updateTurnIndicator(this.getPlayerName(playerIndex), this.isLocalPlayer(currentPlayer));
+        this.ui.updateHammerIndicator(this.getPlayerName(this.frameOrder.hammer));
+        this.updateScoreboard();
+        
+        if (frameOpening) {
+            this.ui.showNotice(`Frame ${this.round}: ${this.getPlayerName(this.frameOrder.hammer)} has the hammer`, 1500);
+        } else {
+            this.ui.showNotice(`${this.getPlayerName(playerIndex)}'s turn`, 1000);
+        }
+        
+        // The discs are at rest for the whole turn, so the guide predicts
+        // from a copy of them taken now
+        if (this.isLocalPlayer(currentPlayer) && this.isAimGuideEnabled()) {
+            this.shotPredictor.sync(this.core);
+            this.guideShotKey = null;
+            this.guideTimer = 0;
+        }
         
         // If it's the AI's turn, let it take a shot after a short delay
         if (currentPlayer.isAI) {
-            const aiDelay = 1000 + Math.random() * 1500; // 1-2.5 second delay
+            this.clearAITimeout();
+            const [minDelay, maxDelay] = this.aiPersonalities[playerIndex].reactionTime;
+            const aiDelay = this.random.range(minDelay, maxDelay) / this.speed;
             this.aiTimeout = setTimeout(() => this.aiTakeTurn(), aiDelay);
         }
+        
+        // An online opponent's shot may already be waiting
+        if (currentPlayer.isRemote) {
+            this.playRemoteShot();
+        }
     }
 
-    aiTakeTurn() {
-        if (this.gameState === 'gameOver') return;
-        
-        const aiPlayer = this.getCurrentPlayer();
-        const targetDisc = aiPlayer.getNextDisc();
+    /**
+     * Clears up after a turn the core has ended
+     */
+    handleTurnEnd() {
+        this.clearAITimeout();
+        this.stopTurnTimer();
+    }
+
+    /**
+     * Whether the aiming guide shows at all under the current settings
+     * @returns {boolean}
+     */
+    isAimGuideEnabled() {
+        return !!this.settings.game.aimGuide &&
+               getDifficulty(this.settings.game.difficulty).guideLength > 0;
+    }
+
+    /**
+     * Predicts the human player's shot as they aim and charge it and draws
+     * as much of it as the difficulty allows
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateAimGuide(delta) {
+        if (!this.aimGuide) return;
         
-        if (!targetDisc) {
-            this.endTurn();
+        const player = this.currentPlayer;
+        if (!this.isAimGuideEnabled() || !this.canHumanAim() || this.isPaused) {
+            this.aimGuide.hide();
             return;
         }
         
-        // AI difficulty settings
-        const difficulty = this.settings.game.difficulty;
-        let angleVariance, powerVariance, minPower, maxPower, accuracy;
+        this.guideTimer -= delta;
+        if (this.guideTimer > 0) return;
         
-        switch (difficulty) {
-            case 'easy':
-                angleVariance = Math.PI / 6; // 30 degrees
-                powerVariance = 0.6;
-                minPower = 0.2;
-                maxPower = 0.8;
-                accuracy = 0.6; // 60% accuracy
-                break;
-            case 'hard':
-                angleVariance = Math.PI / 12; // 15 degrees
-                powerVariance = 0.3;
-                minPower = 0.4;
-                maxPower = 0.9;
-                accuracy = 0.9; // 90% accuracy
-                break;
-            case 'medium':
-            default:
-                angleVariance = Math.PI / 9; // 20 degrees
-                powerVariance = 0.45;
-                minPower = 0.3;
-                maxPower = 0.85;
-                accuracy = 0.75; // 75% accuracy
-        }
-        
-        // Calculate target position (aim for high-scoring zones)
-        let targetX = 0;
-        let targetZ = 10; // Default to center
-        
-        // AI strategy based on game state
-        if (Math.random() < accuracy) {
-            // Try to aim for high-scoring zones
-            const zone = Math.random();
-            if (zone < 0.4) {
-                // Aim for center (10 points)
-                targetX = (Math.random() - 0.5) * 0.5;
-                targetZ = 9.5 + Math.random() * 0.5;
-            } else if (zone < 0.7) {
-                // Aim for medium zones (7-8 points)
-                targetX = (Math.random() - 0.5) * 2;
-                targetZ = 8 + Math.random() * 1.5;
-            } else {
-                // Try to knock opponent's discs
-                const opponentDiscs = this.getOpponentDiscs();
-                if (opponentDiscs.length > 0) {
-                    const targetDisc = opponentDiscs[Math.floor(Math.random() * opponentDiscs.length)];
-                    const discPos = targetDisc.getPosition();
-                    targetX = discPos.x + (Math.random() - 0.5) * 0.5;
-                    targetZ = discPos.z + (Math.random() - 0.5) * 0.5;
-                }
+        // Before charging, show a shot of the last power used
+        const charge = player.isCharging ? player.currentPower : this.guideCharge;
+        const shot = player.getShotParameters(charge, player.spin);
+        const key = [shot.x, shot.heading, shot.impulse, shot.spin].map(value => value.toFixed(3)).join();
+        if (key === this.guideShotKey) return;
+        
+        const difficulty = getDifficulty(this.settings.game.difficulty);
+        const prediction = this.shotPredictor.predict(shot, { maxDistance: difficulty.guideLength });
+        this.aimGuide.show(prediction, {
+            showRestSpot: difficulty.showRestSpot,
+            radius: player.discSet.radius
+        });
+        this.guideShotKey = key;
+        this.guideTimer = this.guideInterval;
+    }
+
+    clearAITimeout() {
+        if (this.aiTimeout) {
+            clearTimeout(this.aiTimeout);
+            this.aiTimeout = null;
+        }
+    }
+
+    get currentPlayer() {
+        return this.core?.currentPlayer ?? null;
+    }
+
+    getCurrentPlayer() {
+        return this.currentPlayer;
+    }
+
+    /**
+     * Points the follow camera at the current player's delivery spot
+     */
+    updateCameraForPlayer() {
+        const player = this.getCurrentPlayer();
+        if (!player || !this.cameraController) return;
+        
+        this.cameraController.setDirection(player.direction);
+        this.cameraController.setTarget(player.position);
+    }
+
+    startTurnTimer() {
+        this.stopTurnTimer();
+        this.turnTimer = this.settings.game.turnTimeLimit || this.turnTimeLimit;
+        
+        this.turnTimerInterval = setInterval(() => {
+            if (this.getState() !== 'playing') return;
+            
+            this.turnTimer--;
+            if (this.turnTimer <= 0) {
+                // Out of time: the disc is delivered with whatever charge it has
+                this.stopTurnTimer();
+                this.launchShot();
             }
-        } else {
-            // Miss intentionally based on difficulty
-            targetX = (Math.random() - 0.5) * 4;
-            targetZ = 7 + Math.random() * 4;
+        }, 1000);
+    }
+
+    stopTurnTimer() {
+        if (this.turnTimerInterval) {
+            clearInterval(this.turnTimerInterval);
+            this.turnTimerInterval = null;
         }
+    }
+
+    /**
+     * Whether the local user is allowed to aim and charge right now
+     * @returns {boolean}
+     */
+    canHumanAim() {
+        const player = this.getCurrentPlayer();
+        return this.getState() === 'playing' &&
+               this.turn.is('aiming', 'charging') &&
+               this.isLocalPlayer(player);
+    }
+
+    /**
+     * Whether a player is controlled by the user at this computer, rather
+     * than by the computer or an online opponent
+     * @param {Player} player
+     * @returns {boolean}
+     */
+    isLocalPlayer(player) {
+        return !!player && !player.isAI && !player.isRemote;
+    }
+
+    /**
+     * Starts charging the current player's shot
+     */
+    beginCharging() {
+        const player = this.getCurrentPlayer();
+        if (!player || player.isCharging || !this.turn.transition('charging')) return;
         
-        // Calculate angle and power to reach target
-        const dx = targetX - 0; // Starting x is 0
-        const dz = targetZ - (-5); // Starting z is -5
-        let angle = Math.atan2(dx, dz);
+        player.startCharging();
+        const pointer = this.input.getMousePosition();
+        this.spinDragStart = pointer.x;
+        this.powerDragStart = pointer.y;
+        this.ui.setPowerMeterMode(player.chargeMechanic);
+        this.ui.showPowerMeter(true);
+        this.ui.showSpinMeter(true);
+    }
+
+    /**
+     * Lets the AI pick its shot by trying candidates in a copy of the board,
+     * then lines the shot up and plays it
+     */
+    async aiTakeTurn() {
+        if (this.getState() === 'gameOver' || !this.turn.is('aiming')) return;
         
-        // Add some randomness based on difficulty
-        angle += (Math.random() * 2 - 1) * angleVariance;
+        const aiPlayer = this.getCurrentPlayer();
+        if (!aiPlayer.getNextDisc()) {
+            this.core.endTurn();
+            return;
+        }
         
-        // Calculate distance for power
-        const distance = Math.sqrt(dx * dx + dz * dz);
-        let power = clamp(distance / 15, minPower, maxPower);
+        const playerIndex = this.core.currentPlayerIndex;
+        const name = this.getPlayerName(playerIndex);
+        this.ui.showNotice(`${name} is thinking...`, 1000);
+        this.aiPlanner.setDifficulty(this.getAIDifficulty());
+        this.aiPlanner.setPersonality(this.aiPersonalities[playerIndex]);
         
-        // Add some randomness to power
-        power *= 1 + (Math.random() * 2 - 1) * powerVariance;
-        power = clamp(power, 0.1, 1.0);
+        const gameId = this.core.gameId;
+        let plan = null;
+        try {
+            plan = await this.aiPlanner.planShotAsync(this.core);
+        } catch (error) {
+            console.error('Error planning AI shot:', error);
+        }
         
-        // Set disc position and rotation
-        targetDisc.setPosition(0, 0.1, -5);
-        targetDisc.setRotation(0, angle, 0);
+        // The game may have moved on while the AI was thinking
+        if (this.core.gameId !== gameId || this.getCurrentPlayer() !== aiPlayer || !this.turn.is('aiming')) return;
         
-        // Visualize AI aim (for debugging)
-        if (this.debugMode) {
-            this.debugAim(targetX, targetZ);
+        // Without a plan, a plain shot down the middle
+        plan = plan || { angle: 0, power: 0.65, spin: 0 };
+        this.lastAIPlan = plan;
+        this.updateDebugOverlay();
+        if (plan.kind && this.debug.enabled) {
+            console.log(`[DEBUG] ${name} plays a ${plan.kind} worth ${plan.score} after ${plan.simulations} simulated shots`);
         }
         
-        // Show AI is taking a shot
-        this.ui.showMessage('AI is taking a shot...', 500);
+        aiPlayer.setAim(plan.angle);
+        this.ui.showNotice(`${name} is taking a shot...`, 500);
         
         // Shoot the disc after a short delay
-        setTimeout(() => {
-            if (this.gameState !== 'gameOver') {
-                targetDisc.shoot(power);
-                this.waitForDiscToStop(targetDisc);
+        this.aiTimeout = setTimeout(() => {
+            this.aiTimeout = null;
+            if (this.getState() !== 'gameOver') {
+                aiPlayer.setCharge(plan.power);
+                aiPlayer.setSpin(plan.spin);
+                this.launchShot();
             }
-        }, 500);
+        }, 500 / this.speed);
     }
 
-    endTurn() {
-        if (this.gameState === 'gameOver') return;
+    /**
+     * The difficulty the AI plays at: the chosen one, or the adaptive level
+     * when adaptive AI is on
+     * @returns {Object} A difficulty level, as from getDifficulty()
+     */
+    getAIDifficulty() {
+        const difficulty = getDifficulty(this.settings.game.difficulty);
+        return this.settings.game.adaptiveAI ? this.adaptiveDifficulty.getDifficulty(difficulty) : difficulty;
+    }
+
+    /**
+     * A player's lead on the board this frame: their points less the best of
+     * the other players'
+     * @param {number} playerIndex - Index of the player
+     * @returns {number}
+     */
+    getFrameLead(playerIndex) {
+        const totals = this.core.scoreBoard().map(result => result.total);
+        const others = totals.filter((_, i) => i !== playerIndex);
+        return totals[playerIndex] - (others.length > 0 ? Math.max(...others) : 0);
+    }
+
+    /**
+     * Notes the frame lead as a human shot is played, to judge the shot by
+     * once it settles
+     * @param {number} playerIndex - Index of the player who shot
+     */
+    handleShot(playerIndex) {
+        this.humanShotLead = this.players[playerIndex]?.isAI ? null : this.getFrameLead(playerIndex);
+    }
+
+    /**
+     * Judges a human shot once the board has settled: the points it gained
+     * on the board, as a share of the best zone, tell the adaptive AI how
+     * well the human is shooting
+     * @param {number} playerIndex - Index of the player who shot
+     */
+    handleShotSettled(playerIndex) {
+        if (this.humanShotLead === null) return;
         
-        // Clear any pending timeouts
-        if (this.aiTimeout) {
-            clearTimeout(this.aiTimeout);
-            this.aiTimeout = null;
+        const { points, hangerPoints } = this.core.ruleSet;
+        const best = Math.max(1, ...Object.values(points), hangerPoints);
+        const gained = this.getFrameLead(playerIndex) - this.humanShotLead;
+        this.humanShotLead = null;
+        
+        this.adaptiveDifficulty.recordShot(clamp(gained / best, 0, 1));
+        this.updateDebugOverlay();
+    }
+
+    /**
+     * Shows or hides the debug overlay and the frame rate panel
+     */
+    toggleDebugOverlay() {
+        this.debug.enabled = !this.debug.enabled;
+        if (this.core) {
+            this.core.debug = this.debug.enabled;
+        }
+        if (this.stats) {
+            this.stats.dom.style.display = this.debug.enabled ? 'block' : 'none';
         }
+        this.ui.showDebugOverlay(this.debug.enabled);
+        this.updateDebugOverlay();
+    }
+
+    /**
+     * Fills the debug overlay with the level the AI is playing at
+     */
+    updateDebugOverlay() {
+        if (!this.debug.enabled || !this.ui) return;
         
-        // Stop turn timer
-        this.stopTurnTimer();
+        const difficulty = this.getAIDifficulty();
+        const names = this.players.filter(player => player.isAI).map(player => this.getPlayerName(player.index));
+        const lines = [`AI: ${names.join(' vs ') || 'none'}, ${difficulty.name}`];
+        if (this.spectating) {
+            lines.push(`Speed: ${this.speed}x`);
+        }
+        if (this.settings.game.adaptiveAI) {
+            const adaptive = this.adaptiveDifficulty;
+            lines.push(`Adaptive level: ${adaptive.level.toFixed(2)} (target ${adaptive.target.toFixed(2)})`);
+            lines.push(`Human shot quality: ${adaptive.quality.toFixed(2)} over ${adaptive.shots} shots`);
+            lines.push(`Score gap: ${Math.round(adaptive.scoreGap * 100)}% of the winning score`);
+        }
+        lines.push(`Shots tried: ${difficulty.aiShotBudget}`);
+        lines.push(`Errors: aim ${radToDeg(difficulty.aiAngleNoise).toFixed(2)}°, ` +
+                   `power ${(difficulty.aiPowerNoise * 100).toFixed(1)}%, spin ${difficulty.aiSpinNoise.toFixed(2)}`);
+        if (this.lastAIPlan?.kind) {
+            lines.push(`Last AI shot: ${this.lastAIPlan.kind} worth ${this.lastAIPlan.score.toFixed(1)}, ` +
+                       `${this.lastAIPlan.simulations} shots simulated`);
+        }
+        this.ui.updateDebugOverlay(lines);
+    }
+
+    /**
+     * Shoots the current player's next disc with its current aim and charge
+     * @returns {Disc|null} The disc that was shot, or null if no shot was taken
+     */
+    launchShot() {
+        if (this.getState() !== 'playing' || !this.turn.is('aiming', 'charging')) return null;
         
-        // Switch to next player
-        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        if (this.currentPlayer.isRemote) return null;
         
-        // Check if next player has any discs left
-        const nextPlayer = this.getCurrentPlayer();
-        if (nextPlayer.getRemainingDiscs() === 0) {
-            // If no discs left, skip to next player or end round
-            this.endRound();
-            return;
+        this.stopTurnTimer();
+        if (!this.currentPlayer.isAI) {
+            this.guideCharge = this.currentPlayer.currentPower;
         }
-        
-        // Start next turn
-        this.startTurn();
+        return this.core.launchShot();
     }
 
-    checkScoring() {
-        if (this.gameState === 'gameOver') return;
+    /**
+     * Shows the breakdown of a frame the core has scored. Play carries on
+     * with startNextFrame() when the summary is dismissed, unless the frame
+     * won the game.
+     * @param {Object} summary - Frame summary from GameCore.scoreFrame()
+     */
+    handleFrameEnd(summary) {
+        this.stopTurnTimer();
+        this.updateScoreboard();
         
-        // Update all disc positions in the physics world
-        this.world.step(this.timeStep);
+        // Both sides should have ended the frame with the discs in the same places
+        if (this.onlineMatch) {
+            this.online.sendFrameHash(summary.frame, this.core.getPositionHash());
+        }
         
-        // Get all discs from both players
-        const allDiscs = [];
-        this.players.forEach(player => {
-            allDiscs.push(...player.discs);
-        });
+        // Steer the adaptive AI by the score gap between the sides; a team
+        // with anyone at the controls counts as human
+        const isComputerTeam = members => members.every(index => this.players[index].isAI);
+        const teams = this.core.teams.map((members, team) => ({ computer: isComputerTeam(members), score: this.scores[team] }));
+        const humans = teams.filter(team => !team.computer).map(team => team.score);
+        const computers = teams.filter(team => team.computer).map(team => team.score);
+        if (humans.length > 0 && computers.length > 0) {
+            this.adaptiveDifficulty.recordScores(Math.max(...humans), Math.max(...computers), this.core.winningScore);
+            this.updateDebugOverlay();
+        }
         
-        // Check scoring for each disc
-        let scoringDiscs = [];
+        // The core follows up with 'gameOver'
+        if (summary.winner !== null) return;
         
-        allDiscs.forEach(disc => {
-            if (disc.hasBeenShot && !disc.hasBeenScored) {
-                const position = disc.getPosition();
-                const score = this.board.getScoreForPosition(position.x, position.z);
-                
-                if (score !== null) {
-                    disc.score = score.value;
-                    disc.scoreType = score.type;
-                    disc.hasBeenScored = true;
-                    scoringDiscs.push(disc);
-                    
-                    // Update player score
-                    const playerIndex = this.players.findIndex(p => p.discs.includes(disc));
-                    if (playerIndex !== -1) {
-                        this.scores[playerIndex] += score.value;
-                        
-                        // Show score popup
-                        this.ui.showScorePopup(
-                            position.x,
-                            position.z,
-                            score.value,
-                            score.type
-                        );
-                        
-                        // Play sound
-                        this.playSound('score', score.value >= 5 ? 1.0 : 0.7);
-                    }
-                } else if (this.board.isOutOfBounds(position.x, position.z)) {
-                    // Disc is out of bounds
-                    disc.score = 0;
-                    disc.scoreType = 'out';
-                    disc.hasBeenScored = true;
-                    scoringDiscs.push(disc);
-                    
-                    // Play sound
-                    this.playSound('miss', 0.5);
-                }
-            }
+        // A watched match moves on by itself
+        const teamScores = this.players.map(player => this.scores[this.core.getTeamOf(player.index)]);
+        this.ui.showFrameSummary(summary, teamScores, () => this.startNextFrame(), {
+            names: this.players.map(player => this.getPlayerName(player.index)),
+            autoContinue: this.spectating ? this.frameSummaryTime / this.speed : 0
         });
-        
-        // Check for game over condition
-        const winningPlayer = this.checkWinCondition();
-        if (winningPlayer !== null) {
-            this.endGame(winningPlayer);
-            return;
-        }
-        
-        // If all discs have been shot and scored, end the round
-        const allDiscsShot = allDiscs.every(disc => disc.hasBeenShot);
-        if (allDiscsShot) {
-            this.endRound();
-        } else {
-            // Continue to next turn
-            this.endTurn();
-        }
     }
 
-    checkWinCondition() {
-        // Check if any player has won
-        // Return player index or null if no winner yet
-        return null; // Placeholder
+    /**
+     * Changes ends and starts the next frame once the discs are collected
+     */
+    startNextFrame() {
+        if (this.getState() !== 'playing') return;
+        
+        this.core.startNextFrame().catch(error => {
+            console.error('Error starting next frame:', error);
+        });
     }
 
     gameOver(winnerIndex) {
         try {
-            if (this.gameState === 'gameOver') return;
+            if (this.getState() === 'gameOver') return;
             
-            this.gameState = 'gameOver';
+            this.setState('gameOver');
+            this.turn.reset();
             this.stopTurnTimer();
             
             // Show game over screen if UI is available
@@ -962,25 +1107,44 @@ class ShuffleboardGame {
                 this.stats.begin();
             }
             
-            // Calculate delta time
+            // Calculate delta time; a watched match runs at its own speed,
+            // while the camera and aiming guide keep to real time
             const delta = this.clock.getDelta();
+            const gameDelta = delta * this.speed;
             
-            // Update physics
-            if (this.world && !this.isPaused) {
-                this.world.step(this.timeStep, delta, this.maxSubSteps);
+            // Update physics; turn progress is checked after every fixed step
+            if (this.core && !this.isPaused) {
+                this.core.update(gameDelta);
             }
             
             // Update game objects
             if (this.board && this.board.update) {
-                this.board.update(delta);
+                this.board.update(gameDelta);
             }
             
-            // Update players
-            this.players.forEach(player => {
-                if (player && player.update) {
-                    player.update(delta);
+            // Update players. A charge holds still while the game is
+            // paused, so it can't run out and shoot behind the pause menu.
+            if (!this.isPaused) {
+                this.players.forEach(player => {
+                    if (player && player.update) {
+                        player.update(gameDelta);
+                    }
+                });
+                
+                // Show the charge of the shot being lined up
+                const player = this.currentPlayer;
+                if (player?.isCharging && this.isLocalPlayer(player) && player.chargeReady) {
+                    // A two-stage accuracy marker ran out: the shot goes as it is
+                    this.launchShot();
+                } else if (player?.isCharging && this.ui) {
+                    this.ui.updatePowerMeter(player.currentPower, 1, {
+                        overcharge: player.overcharge,
+                        marker: player.accuracyMarker
+                    });
+                    this.ui.updateSpinMeter(player.spin);
                 }
-            });
+            }
+            this.updateAimGuide(delta);
             
             // Update camera controller
             if (this.cameraController && this.cameraController.update) {
@@ -1080,6 +1244,12 @@ class ShuffleboardGame {
                 }
             }
             
+            // Clean up the aiming guide and its prediction world
+            this.aimGuide?.dispose();
+            this.aimGuide = null;
+            this.shotPredictor?.clear();
+            this.shotPredictor = null;
+            
             // Clean up physics world
             if (this.world?.bodies) {
                 try {
@@ -1095,7 +1265,7 @@ class ShuffleboardGame {
                 } catch (e) {
                     console.error('Error cleaning up physics world:', e);
                 } finally {
-                    this.world = null;
+                    this.core = null;
                 }
             }
             
@@ -1258,10 +1428,142 @@ class ShuffleboardGame {
                     this.applyGraphicsSettings();
                 });
                 
+                // Rules
+                this.ui.on('ruleSetChange', (ruleSet) => {
+                    this.settings.game.ruleSet = ruleSet;
+                    this.applyRuleSet();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('winningScoreChange', (score) => {
+                    this.settings.game.winningScore = score;
+                    this.applyRuleSet();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('startPolicyChange', (policy) => {
+                    this.settings.game.startPolicy = policy;
+                    this.saveSettings();
+                });
+                
+                this.ui.on('surfaceChange', (surface) => {
+                    this.settings.game.surface = surface;
+                    this.applySurface();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('difficultyChange', (difficulty) => {
+                    this.settings.game.difficulty = getDifficulty(difficulty).id;
+                    this.saveSettings();
+                });
+                
+                this.ui.on('aimGuideChange', (enabled) => {
+                    this.settings.game.aimGuide = enabled;
+                    this.saveSettings();
+                });
+                
+                this.ui.on('adaptiveAIChange', (enabled) => {
+                    this.settings.game.adaptiveAI = enabled;
+                    this.saveSettings();
+                    this.updateDebugOverlay();
+                });
+                
+                this.ui.on('discSetChange', (discSet) => {
+                    this.settings.game.discSet = discSet;
+                    this.applyDiscSet();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('aiPersonalityChange', (personality) => {
+                    this.settings.game.aiPersonality = getAIPersonality(personality).id;
+                    this.applyAIPersonality();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('gameModeChange', (mode) => {
+                    this.settings.game.mode = ['spectate', 'hotseat', 'online'].includes(mode) ? mode : 'single';
+                    this.ui.updateGameModeMenu(this.settings.game.mode, this.settings.game.spectatorSpeed);
+                    // Stop waiting for an opponent in a room of the online mode
+                    this.leaveOnlineMatch();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('onlineSetupChange', ({ name, server }) => {
+                    if (name !== undefined) {
+                        this.settings.game.onlineName = String(name).trim().slice(0, 16);
+                    }
+                    if (server !== undefined) {
+                        this.settings.game.onlineServer = String(server).trim();
+                    }
+                    this.saveSettings();
+                });
+                
+                this.ui.on('joinRoom', (code) => this.joinOnlineGame(code));
+                
+                this.ui.on('spectatorPersonalityChange', (personality) => {
+                    this.settings.game.spectatorPersonality = getAIPersonality(personality).id;
+                    this.applyAIPersonality();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('spectatorSpeedChange', (speed) => {
+                    this.settings.game.spectatorSpeed = clamp(speed, 0.5, 4);
+                    this.applySpeed();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('playerCountChange', (count) => {
+                    this.settings.game.playerCount = count;
+                    this.updatePlayerSetupMenu();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('matchFormatChange', (format) => {
+                    this.settings.game.matchFormat = getMatchFormat(format).id;
+                    this.updatePlayerSetupMenu();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('playerSetupChange', ({ index, ...change }) => {
+                    const setup = this.getPlayerSetup();
+                    if (!setup[index]) return;
+                    
+                    setup[index] = { ...setup[index], ...change };
+                    this.settings.game.playerSetup = setup;
+                    this.saveSettings();
+                });
+                
+                this.ui.on('chargeMechanicChange', (mechanic) => {
+                    this.settings.controls.chargeMechanic = getChargeMechanic(mechanic).id;
+                    this.applyChargeMechanic();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('chargeSpeedChange', (speed) => {
+                    this.settings.controls.chargeSpeed = clamp(speed, 0.5, 2);
+                    this.applyChargeMechanic();
+                    this.saveSettings();
+                });
+                
+                this.ui.on('editCustomRules', () => {
+                    this.ui.showCustomRulesEditor(getRuleSet('custom', this.settings.game));
+                });
+                
+                this.ui.on('customRulesSave', (rules) => {
+                    // Store the validated values so the editor reopens with them
+                    const { layout, discsPerPlayer, winningScore, points, lineRule, scoring, hangerPoints } =
+                        getRuleSet('custom', { customRules: rules });
+                    this.settings.game.customRules = {
+                        layout, discsPerPlayer, winningScore, points, lineRule, scoring, hangerPoints
+                    };
+                    this.applyRuleSet();
+                    this.saveSettings();
+                });
+                
                 // Player actions
-                this.ui.on('playerShoot', (power, angle) => {
+                this.ui.on('playerShoot', () => {
                     if (this.getState() === 'playing' && this.currentPlayer) {
-                        this.currentPlayer.shoot(power, angle);
+                        this.launchShot();
                     }
                 });
                 
@@ -1284,6 +1586,43 @@ class ShuffleboardGame {
                 this.input.on('pointerup', (position) => this.handlePointerUp(position));
             }
             
+            // Online play
+            this.online.on('hosted', ({ code }) => {
+                this.ui.showOnlineStatus(`Room ${code}: give your opponent this code and wait for them to join`, false);
+            });
+            this.online.on('start', (match) => {
+                this.onlineMatch = match;
+                this.ui.showOnlineStatus(`Playing in room ${match.code}`, false);
+                this.startGame();
+            });
+            this.online.on('shot', () => this.playRemoteShot());
+            this.online.on('desync', ({ frame }) => {
+                this.endOnlineMatch(frame === null
+                    ? 'A shot from your opponent went missing'
+                    : `Your game and your opponent's ended frame ${frame} differently`);
+            });
+            this.online.on('opponentLeft', () => this.endOnlineMatch('Your opponent left the game'));
+            this.online.on('error', ({ message }) => {
+                if (this.onlineMatch) {
+                    this.endOnlineMatch(message);
+                } else {
+                    this.ui.showOnlineStatus(message, false);
+                }
+            });
+            this.online.on('disconnected', () => this.endOnlineMatch('Lost the connection to the server'));
+            
+            // Turn phase listeners
+            this.onTurnPhaseChange((phase, oldPhase) => {
+                if (this.debug.logStateChanges) {
+                    console.log(`[DEBUG] Turn phase: ${oldPhase} -> ${phase}`);
+                }
+                
+                if (phase !== 'charging') {
+                    this.ui?.showPowerMeter(false);
+                    this.ui?.showSpinMeter(false);
+                }
+            });
+            
             // Game state change listeners
             this.onStateChange((newState, oldState) => {
                 console.log(`[DEBUG] Game state changed: ${oldState} -> ${newState}`);
@@ -1321,21 +1660,55 @@ class ShuffleboardGame {
      */
     handleKeyDown(key) {
         try {
-            if (!this.currentPlayer || this.getState() !== 'playing') return;
+            if (key === 'Escape') {
+                this.togglePause();
+                return;
+            }
+            
+            if (key === '`') {
+                this.toggleDebugOverlay();
+                return;
+            }
             
-            // Handle player movement
+            if (this.spectating && ['+', '=', '-', '_'].includes(key)) {
+                this.changeSpeed(key === '+' || key === '=' ? 1 : -1);
+                return;
+            }
+            
+            if (!this.canHumanAim()) return;
+            
+            // Handle player movement (the camera looks down +z, so screen left is +x)
             switch (key) {
                 case 'ArrowLeft':
-                    this.currentPlayer.move('left');
+                    this.currentPlayer.move(1, this.timeStep);
                     break;
                 case 'ArrowRight':
-                    this.currentPlayer.move('right');
+                    this.currentPlayer.move(-1, this.timeStep);
                     break;
                 case ' ':
-                    this.currentPlayer.startCharging();
+                    // A second press stops a two-stage accuracy marker; key
+                    // repeat is ignored once the shot is charging
+                    if (this.currentPlayer.isCharging) {
+                        if (this.currentPlayer.lockAccuracy()) this.launchShot();
+                    } else {
+                        this.beginCharging();
+                    }
+                    break;
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    // Drag-back charging from the keyboard
+                    if (this.currentPlayer.isCharging && this.currentPlayer.chargeMechanic.id === 'drag') {
+                        this.currentPlayer.adjustCharge(key === 'ArrowUp' ? 1 : -1);
+                    }
+                    break;
+                case 'q':
+                case 'Q':
+                    // Spin is put on while the shot charges
+                    if (this.currentPlayer.isCharging) this.currentPlayer.adjustSpin(1);
                     break;
-                case 'Escape':
-                    this.togglePause();
+                case 'e':
+                case 'E':
+                    if (this.currentPlayer.isCharging) this.currentPlayer.adjustSpin(-1);
                     break;
             }
         } catch (error) {
@@ -1350,14 +1723,13 @@ class ShuffleboardGame {
      */
     handleKeyUp(key) {
         try {
-            if (!this.currentPlayer || this.getState() !== 'playing') return;
+            if (!this.canHumanAim()) return;
             
             // Handle key releases
             switch (key) {
                 case ' ':
-                    const power = this.currentPlayer.stopCharging();
-                    if (power > 0) {
-                        this.currentPlayer.shoot(power, this.currentPlayer.angle);
+                    if (this.currentPlayer.releaseCharge()) {
+                        this.launchShot();
                     }
                     break;
             }
@@ -1373,8 +1745,13 @@ class ShuffleboardGame {
      */
     handlePointerDown(position) {
         try {
-            if (this.getState() !== 'playing' || !this.currentPlayer) return;
-            this.currentPlayer.startCharging();
+            if (!this.canHumanAim()) return;
+            
+            if (this.currentPlayer.isCharging) {
+                if (this.currentPlayer.lockAccuracy()) this.launchShot();
+                return;
+            }
+            this.beginCharging();
         } catch (error) {
             console.error('Error handling pointer down:', error);
             this.showError('Error processing input');
@@ -1387,16 +1764,24 @@ class ShuffleboardGame {
      */
     handlePointerMove(position) {
         try {
-            if (this.getState() !== 'playing' || !this.currentPlayer) return;
+            if (!this.canHumanAim()) return;
             
-            // Calculate angle based on pointer position
-            // This is a simplified version - you might want to adjust based on your game's coordinate system
-            const angle = Math.atan2(
-                position.y - this.currentPlayer.position.y,
-                position.x - this.currentPlayer.position.x
-            );
+            const player = this.currentPlayer;
+            
+            // While charging, dragging sideways spins the disc instead of
+            // aiming; dragging right curls it to the right. With drag-back
+            // charging, pulling down sets the power.
+            if (player.isCharging) {
+                player.setSpin(-(position.x - this.spinDragStart) * this.spinDragScale);
+                if (player.chargeMechanic.id === 'drag') {
+                    player.setCharge((this.powerDragStart - position.y) * player.chargeMechanic.dragScale);
+                }
+                return;
+            }
             
-            this.currentPlayer.rotate(angle);
+            // Map the horizontal pointer position (-1..1) onto the aim range;
+            // the camera looks down +z, so moving right aims towards -x
+            player.setAim(-position.x * player.maxAimAngle);
         } catch (error) {
             console.error('Error handling pointer move:', error);
         }
@@ -1408,15 +1793,10 @@ class ShuffleboardGame {
      */
     handlePointerUp(position) {
         try {
-            if (this.getState() !== 'playing' || !this.currentPlayer) return;
+            if (!this.canHumanAim()) return;
             
-            const power = this.currentPlayer.stopCharging();
-            if (power > 0) {
-                const angle = Math.atan2(
-                    position.y - this.currentPlayer.position.y,
-                    position.x - this.currentPlayer.position.x
-                );
-                this.currentPlayer.shoot(power, angle);
+            if (this.currentPlayer.releaseCharge()) {
+                this.launchShot();
             }
         } catch (error) {
             console.error('Error handling pointer up:', error);
@@ -1441,31 +1821,350 @@ class ShuffleboardGame {
         }
     }
 
+    /**
+     * Builds the rule set chosen in the settings and applies it to the board
+     * and players. The players' discs are re-racked when they are next reset.
+     */
+    applyRuleSet() {
+        const { ruleSet, winningScore, customRules } = this.getPlaySettings();
+        
+        this.core.setRuleSet(getRuleSet(ruleSet, { winningScore, customRules }));
+        
+        this.ui?.updateRuleSetMenu(this.ruleSet);
+        if (this.debug.enabled) {
+            console.log(`[DEBUG] Rules: ${this.ruleSet.name}, playing to ${this.ruleSet.winningScore}`);
+        }
+    }
+
+    /**
+     * Puts the board into the surface condition chosen in the settings
+     */
+    applySurface() {
+        const surface = getSurfaceCondition(this.getPlaySettings().surface);
+        
+        this.core.setSurface(surface);
+        this.ui?.updateSurfaceMenu(surface.id);
+        if (this.debug.enabled) {
+            console.log(`[DEBUG] Surface: ${surface.name}`);
+        }
+    }
+
+    /**
+     * Plays the next game with the disc set chosen in the settings
+     */
+    applyDiscSet() {
+        const discSet = getDiscSet(this.getPlaySettings().discSet);
+        
+        this.core.setDiscSet(discSet);
+        this.ui?.updateDiscSetMenu(discSet.id);
+        if (this.debug.enabled) {
+            console.log(`[DEBUG] Disc set: ${discSet.name}`);
+        }
+    }
+
+    /**
+     * Sets the computer players' personalities from the settings: the
+     * opponent plays Player 2, and in spectator mode Player 1 plays as the
+     * spectator personality
+     */
+    applyAIPersonality() {
+        const { aiPersonality, spectatorPersonality } = this.settings.game;
+        
+        this.aiPersonalities = [getAIPersonality(spectatorPersonality), getAIPersonality(aiPersonality)];
+        this.ui?.updateAIPersonalityMenu(this.aiPersonalities[1].id, this.aiPersonalities[0].id);
+        if (this.debug.enabled) {
+            console.log(`[DEBUG] AI personalities: ${this.aiPersonalities.map(personality => personality.name).join(', ')}`);
+        }
+    }
+
+    /**
+     * The name shown for a player: computer players go by their
+     * personality's name, with their seat added when two share one
+     * @param {number} index - Index of the player
+     * @returns {string}
+     */
+    getPlayerName(index) {
+        const player = this.players[index];
+        const personality = this.aiPersonalities[index];
+        if (!player?.isAI || !personality) return player?.name ?? `Player ${index + 1}`;
+        
+        const shared = this.players.some(other =>
+            other !== player && other.isAI && this.aiPersonalities[other.index]?.id === personality.id
+        );
+        return shared ? `${personality.name} (P${index + 1})` : personality.name;
+    }
+
+    /**
+     * The name shown for a team: its player's name in singles, the
+     * partners' names in doubles
+     * @param {number} team - Index of the team
+     * @returns {string}
+     */
+    getTeamName(team) {
+        const members = this.core?.teams[team] ?? [team];
+        return members.map(index => this.getPlayerName(index)).join(' & ');
+    }
+
+    /**
+     * The saved name and disc colour of each of the four hot-seat seats,
+     * with defaults for any missing
+     * @returns {{name: string, color: number}[]}
+     */
+    getPlayerSetup() {
+        const saved = Array.isArray(this.settings.game.playerSetup) ? this.settings.game.playerSetup : [];
+        return PLAYER_COLORS.map((color, index) => ({
+            name: `Player ${index + 1}`,
+            color,
+            ...(saved[index] || {})
+        }));
+    }
+
+    /**
+     * The players and match format of the chosen mode: you against the
+     * computer, the computer against itself, two to four people taking
+     * turns at this computer, or you against someone online
+     * @returns {{players: Object[], format: Object}} As GameCore.setupPlayers() takes them
+     */
+    getLineUp() {
+        const { mode, aiEnabled, playerCount, matchFormat } = this.settings.game;
+        
+        // Online, the host plays Player 1 and the guest Player 2 on both sides
+        if (this.onlineMatch) {
+            const { seat, names } = this.onlineMatch;
+            return {
+                players: names.map((name, index) => ({ isAI: false, remote: index !== seat, name })),
+                format: getMatchFormat(DEFAULT_MATCH_FORMAT)
+            };
+        }
+        
+        if (mode === 'hotseat') {
+            const format = getMatchFormat(matchFormat);
+            const count = clamp(playerCount, format.minPlayers, format.maxPlayers);
+            const players = this.getPlayerSetup().slice(0, count).map(({ name, color }, index) => ({
+                isAI: false,
+                name: String(name || '').trim() || `Player ${index + 1}`,
+                color
+            }));
+            return { players, format };
+        }
+        
+        const spectate = mode === 'spectate';
+        return {
+            players: [{ isAI: spectate }, { isAI: spectate || !!aiEnabled }],
+            format: getMatchFormat(DEFAULT_MATCH_FORMAT)
+        };
+    }
+
+    /**
+     * Fills in the hot-seat line-up of the main menu, keeping the player
+     * count within what the match format allows
+     */
+    updatePlayerSetupMenu() {
+        const format = getMatchFormat(this.settings.game.matchFormat);
+        const count = clamp(this.settings.game.playerCount, format.minPlayers, format.maxPlayers);
+        this.settings.game.playerCount = count;
+        this.ui?.updatePlayerSetupMenu(this.getPlayerSetup(), count, format.id);
+    }
+
+    /**
+     * Shows every team's match score, marking the team whose turn it is
+     */
+    updateScoreboard() {
+        if (!this.core || !this.ui) return;
+        
+        const activeTeam = this.turn?.is('idle') ? -1 : this.core.getTeamOf(this.currentPlayerIndex);
+        this.ui.updateScoreboard(this.core.teams.map((members, team) => ({
+            name: this.getTeamName(team),
+            color: this.players[members[0]].color,
+            score: this.scores[team],
+            active: team === activeTeam
+        })));
+    }
+
+    /**
+     * The settings that decide how a game plays. In an online match both
+     * sides play under the host's, whatever their own menus say.
+     * @returns {Object} Settings in the form of settings.game
+     */
+    getPlaySettings() {
+        return this.onlineMatch ? { ...this.settings.game, ...this.onlineMatch.settings } : this.settings.game;
+    }
+
+    /**
+     * @returns {string} WebSocket URL of the online server to play on
+     */
+    getOnlineServer() {
+        return this.settings.game.onlineServer || OnlineClient.getDefaultServer();
+    }
+
+    /**
+     * Opens a room on the online server for a match under this user's rules,
+     * surface and discs, and waits for an opponent to join it
+     */
+    async hostOnlineGame() {
+        const { ruleSet, winningScore, customRules, startPolicy, surface, discSet, seed, onlineName } = this.settings.game;
+        
+        this.ui.showOnlineStatus('Connecting...', true);
+        try {
+            await this.online.connect(this.getOnlineServer());
+            this.online.host({
+                name: onlineName,
+                settings: { ruleSet, winningScore, customRules, startPolicy, surface, discSet },
+                seed: seed ?? Random.createSeed()
+            });
+        } catch (error) {
+            console.error('Error hosting online game:', error);
+            this.ui.showOnlineStatus(error.message, false);
+        }
+    }
+
+    /**
+     * Joins the online room with the given code; the match starts at once
+     * @param {string} code - Room code from the host
+     */
+    async joinOnlineGame(code) {
+        this.ui.showOnlineStatus('Connecting...', true);
+        try {
+            await this.online.connect(this.getOnlineServer());
+            this.online.join({ name: this.settings.game.onlineName, code });
+        } catch (error) {
+            console.error('Error joining online game:', error);
+            this.ui.showOnlineStatus(error.message, false);
+        }
+    }
+
+    /**
+     * Sends a shot taken at this computer to the online opponent
+     * @param {number} playerIndex - Index of the player who shot
+     * @param {Object} input - The shot's inputs, from the core's 'shot' event
+     */
+    sendOnlineShot(playerIndex, input) {
+        if (this.onlineMatch && this.isLocalPlayer(this.players[playerIndex])) {
+            this.online.sendShot(input);
+        }
+    }
+
+    /**
+     * Plays the online opponent's next shot, once it has arrived and the
+     * game here is ready for it
+     */
+    playRemoteShot() {
+        const player = this.currentPlayer;
+        if (this.getState() !== 'playing' || !player?.isRemote ||
+            !this.turn.is('aiming') || !this.online.hasShot()) return;
+        
+        this.core.shoot(this.online.takeShot());
+    }
+
+    /**
+     * Gives up an online match that can't go on and tells the user why
+     * @param {string} reason
+     */
+    endOnlineMatch(reason) {
+        const inGame = !!this.onlineMatch && ['playing', 'paused'].includes(this.getState());
+        
+        this.leaveOnlineMatch();
+        if (inGame) {
+            this.showMainMenu();
+            this.showError(reason);
+        }
+        this.ui.showOnlineStatus(reason, false);
+    }
+
+    /**
+     * Leaves the online match or room, if any, letting the opponent know
+     */
+    leaveOnlineMatch() {
+        const wasPlaying = !!this.onlineMatch;
+        this.onlineMatch = null;
+        if (this.online.isConnected) {
+            this.online.leave();
+            this.ui?.showOnlineStatus('', false);
+        }
+        
+        // Back to this user's own rules, surface and discs
+        if (wasPlaying && this.core) {
+            this.applyRuleSet();
+            this.applySurface();
+            this.applyDiscSet();
+        }
+    }
+
+    /**
+     * Sets how fast the match plays: the watched speed in spectator mode,
+     * real time otherwise. The physics may take more steps per frame to
+     * keep up.
+     */
+    applySpeed() {
+        this.speed = this.spectating ? clamp(this.settings.game.spectatorSpeed, 0.5, 4) : 1;
+        if (this.simulation) {
+            this.simulation.maxStepsPerUpdate = Math.ceil(this.maxSubSteps * this.speed);
+        }
+        this.ui?.updateGameModeMenu(this.settings.game.mode, this.settings.game.spectatorSpeed);
+        this.updateDebugOverlay();
+    }
+
+    /**
+     * Speeds a watched match up or slows it down by one step
+     * @param {number} direction - 1 to speed up, -1 to slow down
+     */
+    changeSpeed(direction) {
+        this.settings.game.spectatorSpeed = clamp(
+            this.settings.game.spectatorSpeed + direction * this.speedStep, 0.5, 4
+        );
+        this.applySpeed();
+        this.saveSettings();
+        this.ui.showNotice(`Speed: ${this.speed}x`, 800);
+    }
+
+    /**
+     * Gives every player the charge mechanic and meter speed from the settings
+     */
+    applyChargeMechanic() {
+        const { chargeMechanic, chargeSpeed, chargeTuning } = this.settings.controls;
+        const mechanic = getChargeMechanic(chargeMechanic, chargeTuning?.[chargeMechanic]);
+        
+        this.players.forEach(player => player.setChargeMechanic(mechanic, chargeSpeed));
+        this.ui?.updateChargeMenu(mechanic.id, chargeSpeed);
+        if (this.debug.enabled) {
+            console.log(`[DEBUG] Charge mechanic: ${mechanic.name}`);
+        }
+    }
+
     /**
      * Starts a new game
      */
     startGame() {
+        // An online match starts once an opponent has joined the room
+        if (this.settings.game.mode === 'online' && !this.onlineMatch) {
+            this.hostOnlineGame();
+            return;
+        }
+        
         try {
             console.log('[DEBUG] Starting new game');
             
-            // Reset game state
-            this.scores = [0, 0];
-            this.round = 1;
-            this.currentPlayerIndex = 0;
-            
-            // Reset players
-            if (this.players.length > 0) {
-                this.players.forEach(player => {
-                    if (player && typeof player.reset === 'function') {
-                        player.reset();
-                    }
-                });
-            }
-            
-            // Reset board
-            if (this.board && typeof this.board.reset === 'function') {
-                this.board.reset();
-            }
+            this.stopTurnTimer();
+            this.clearAITimeout();
+            
+            // Play under the rules, on the surface and with the discs chosen in the menu
+            this.applyRuleSet();
+            this.applySurface();
+            this.applyDiscSet();
+            this.core.startPolicy = this.getPlaySettings().startPolicy;
+            
+            // Line the players up for the chosen mode
+            const { players, format } = this.getLineUp();
+            this.spectating = this.settings.game.mode === 'spectate';
+            this.hotSeat = this.settings.game.mode === 'hotseat';
+            this.core.setupPlayers(players, format);
+            this.applyChargeMechanic();
+            this.applySpeed();
+            
+            // The adaptive AI starts each game at the chosen difficulty
+            this.adaptiveDifficulty.reset(AdaptiveDifficulty.getLevelFor(this.settings.game.difficulty));
+            this.lastAIPlan = null;
+            this.humanShotLead = null;
             
             // Update game state
             this.setState('playing');
@@ -1473,12 +2172,14 @@ class ShuffleboardGame {
             // Show game screen
             if (this.ui) {
                 this.ui.showScreen('game');
-                this.ui.updateScores(this.scores[0], this.scores[1]);
-                this.ui.updateTurnIndicator(this.currentPlayerIndex + 1);
             }
             
-            // Start the first turn
-            this.startTurn();
+            // Reset scores and players and start the first turn. In debug
+            // mode the seed is logged so the game can be replayed.
+            this.core.startGame({ seed: this.onlineMatch?.seed ?? this.settings.game.seed });
+            if (this.debug.enabled) {
+                console.log(`[DEBUG] Game seed: ${this.seed}`);
+            }
             
             console.log('[DEBUG] New game started');
         } catch (error) {
@@ -1538,6 +2239,9 @@ class ShuffleboardGame {
             if (!this.animationFrameId) {
                 this.animate();
             }
+            
+            // Play any shot the online opponent took in the meantime
+            this.playRemoteShot();
         }
     }
     
@@ -1576,6 +2280,12 @@ class ShuffleboardGame {
     restartGame() {
         console.log('[DEBUG] Restarting game');
         
+        // Both sides would have to restart together
+        if (this.onlineMatch && ['playing', 'paused'].includes(this.getState())) {
+            this.ui.showNotice("An online game can't be restarted", 1500);
+            return;
+        }
+        
         // Confirm with the user if they're in the middle of a game
         if (this.getState() === 'playing' || this.getState() === 'paused') {
             this.ui.showConfirmation(
@@ -1665,67 +2375,59 @@ class ShuffleboardGame {
         this.saveSettings();
     }
     
-    /**
-     * Checks if the game is over based on current scores
-     * @returns {boolean} True if the game is over, false otherwise
-     */
-    checkGameOver() {
-        try {
-            // Check if either player has reached the winning score
-            const player1Wins = this.scores[0] >= this.winningScore;
-            const player2Wins = this.scores[1] >= this.winningScore;
-            
-            if (player1Wins || player2Wins) {
-                const winner = player1Wins ? 1 : 2;
-                this.endGame(winner);
-                return true;
-            }
-            
-            // Check if all discs have been played
-            const allDiscsPlayed = this.players.every(player => !player.hasDiscsLeft());
-            if (allDiscsPlayed) {
-                // Game ends, determine winner by highest score
-                const winner = this.scores[0] > this.scores[1] ? 1 : 
-                              this.scores[1] > this.scores[0] ? 2 : 0; // 0 means tie
-                
-                this.endGame(winner);
-                return true;
-            }
-            
-            return false;
-        } catch (error) {
-            console.error('Error checking game over condition:', error);
-            return false;
-        }
-    }
-    
     /**
      * Handles the end of the game
-     * @param {number} winner - The player number who won (0 for tie)
+     * @param {number} winner - The team number who won (0 for tie); in
+     *   singles, the player number
      */
     endGame(winner) {
         try {
             // Set game state to game over
             this.setState('gameOver');
+            this.stopTurnTimer();
+            this.clearAITimeout();
+            this.core.stop();
             
             // Show game over screen with results
             if (this.ui) {
-                let title, message;
-                
-                if (winner === 0) {
-                    title = "It's a Tie!";
-                    message = `Both players scored ${this.scores[0]} points!`;
-                } else {
-                    const isAI = this.players[winner - 1]?.isAI;
-                    title = isAI ? "Game Over" : `Player ${winner} Wins!`;
-                    message = `Final Score - Player 1: ${this.scores[0]} | ${isAI ? 'AI' : 'Player 2'}: ${this.scores[1]}`;
+                const team = winner - 1;
+                let result = 'tie';
+                if (winner !== 0) {
+                    result = this.core.teams[team].every(index => this.players[index].isAI) ? 'ai' : 'player';
                 }
                 
-                this.ui.showGameOver(title, message);
+                // A watched, hot-seat or online match names every team
+                const named = this.spectating || this.hotSeat || !!this.onlineMatch;
+                const standings = named
+                    ? this.core.teams.map((_, i) => ({ name: this.getTeamName(i), score: this.scores[i] }))
+                    : null;
+                // Online, playing again means a new room: the host opens it
+                // and the guest goes back to the menu to join it
+                let playAgain = () => this.startGame();
+                if (this.onlineMatch) {
+                    const { seat, names } = this.onlineMatch;
+                    playAgain = () => {
+                        this.showMainMenu();
+                        if (seat === 0) {
+                            this.startGame();
+                        } else {
+                            this.ui.showOnlineStatus(`Enter the code of ${names[0]}'s new room to play again`, false);
+                        }
+                    };
+                }
+                this.ui.showGameOver(result, this.scores[0], this.scores[1], {
+                    onPlayAgain: playAgain,
+                    onMainMenu: () => this.showMainMenu(),
+                    standings,
+                    winnerName: named && winner !== 0 ? this.getTeamName(team) : null
+                });
             }
             
-            // Save high score if applicable
-            this.saveHighScore();
+            // Save high score if applicable; a match between two computers
+            // doesn't count
+            if (!this.spectating) {
+                this.saveHighScore();
+            }
             
         } catch (error) {
             console.error('Error ending game:', error);
@@ -1739,14 +2441,14 @@ class ShuffleboardGame {
         try {
             const highScores = JSON.parse(localStorage.getItem('shuffleboardHighScores') || '[]');
             const currentScore = Math.max(...this.scores);
+            const leaders = this.scores.filter(score => score === currentScore);
             
             // Only save if it's a new high score
             if (highScores.length < 10 || currentScore > Math.min(...highScores)) {
                 highScores.push({
                     score: currentScore,
                     date: new Date().toISOString(),
-                    winner: this.scores[0] > this.scores[1] ? 'Player 1' : 
-                           this.scores[1] > this.scores[0] ? 'AI' : 'Tie'
+                    winner: leaders.length === 1 ? this.getTeamName(this.scores.indexOf(currentScore)) : 'Tie'
                 });
                 
                 // Sort in descending order and keep top 10
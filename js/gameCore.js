@@ -0,0 +1,854 @@
+import * as CANNON from 'cannon-es';
+import Board from './board.js';
+import Player from './player.js';
+import TurnStateMachine from './turnStateMachine.js';
+import SettleMonitor from './settleMonitor.js';
+import Simulation from './simulation.js';
+import EventEmitter from './eventEmitter.js';
+import Random, { random } from './random.js';
+import { getRuleSet, DEFAULT_RULE_SET } from './ruleSets.js';
+import { getSurfaceCondition, DEFAULT_SURFACE } from './surfaces.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+import { discMaterial, DISC_CONTACT } from './disc.js';
+import { planFrame, DEFAULT_START_POLICY } from './frameOrder.js';
+import { getMatchFormat, createTeams, DEFAULT_MATCH_FORMAT } from './matchFormats.js';
+
+/**
+ * Creates the physics world the court is simulated in
+ * @returns {{world: CANNON.World, materials: Object}}
+ */
+function createPhysicsWorld() {
+    // Create physics world with improved settings
+    const world = new CANNON.World({
+        gravity: new CANNON.Vec3(0, -15, 0), // Slightly stronger gravity for better physics
+        broadphase: new CANNON.SAPBroadphase(),
+        defaultContactMaterial: {
+            friction: 0.3,
+            restitution: 0.5,
+            contactEquationStiffness: 1e6,
+            contactEquationRelaxation: 3,
+            frictionEquationStiffness: 1e6,
+            frictionEquationRelaxation: 2
+        },
+        solver: new CANNON.GSSolver()
+    });
+
+    // Optimize physics simulation
+    world.allowSleep = true;
+    world.broadphase.useBoundingBoxes = true;
+    world.defaultContactMaterial.contactEquationStiffness = 1e9;
+    world.defaultContactMaterial.contactEquationRelaxation = 4;
+
+    // Set solver iterations based on performance
+    world.solver.iterations = 10;
+    world.solver.tolerance = 0.1;
+
+    // The floor around the board. The board sets up its own material and
+    // the discs' contact with it (see Board).
+    const groundMaterial = new CANNON.Material('groundMaterial');
+
+    // Discs that leave the board drop onto the floor and stop where they land
+    const discGroundContactMaterial = new CANNON.ContactMaterial(
+        discMaterial,
+        groundMaterial,
+        {
+            friction: 0.3,
+            restitution: 0.1
+        }
+    );
+    world.addContactMaterial(discGroundContactMaterial);
+
+    // Discs against each other
+    world.addContactMaterial(new CANNON.ContactMaterial(discMaterial, discMaterial, DISC_CONTACT));
+
+    // Create the floor. A large box rather than a plane, which the sweep and
+    // prune broadphase loses track of once a body moves.
+    const groundShape = new CANNON.Box(new CANNON.Vec3(20, 0.5, 30));
+    const groundBody = new CANNON.Body({
+        mass: 0, // Static body
+        shape: groundShape,
+        material: groundMaterial,
+        position: new CANNON.Vec3(0, -0.5, 0)
+    });
+    world.addBody(groundBody);
+
+    return {
+        world,
+        materials: {
+            ground: groundMaterial,
+            disc: discMaterial
+        }
+    };
+}
+
+/**
+ * Turns the world's clock back to zero and wakes every body. Bodies fall
+ * asleep by the world's time (see CANNON.Body.sleepTick), and rounding in
+ * that running total would otherwise let a world that has been stepped
+ * before put discs to sleep a step earlier or later than a fresh one.
+ * @param {CANNON.World} world
+ */
+function resetPhysicsClock(world) {
+    world.time = 0;
+    world.stepnumber = 0;
+    world.bodies.forEach(body => {
+        body.sleepState = CANNON.Body.AWAKE;
+        body.timeLastSleepy = 0;
+        body.wakeUpAfterNarrowphase = false;
+    });
+}
+
+/**
+ * The rules and physics of a game of shuffleboard: the board, the players
+ * and their discs, the turn cycle, frame scoring and the win condition.
+ * Two to four players play singles or, four of them, doubles; match scores
+ * are kept per team, and in singles every player is a team of one.
+ * Nothing here touches the DOM, a renderer or the UI. ShuffleboardGame drives
+ * a core from the browser and passes its scene so the objects are drawn;
+ * without a scene the core runs headless, as if on a null renderer, so it can
+ * be driven from Node.
+ *
+ * Events, subscribed to with on():
+ *   'gameStart' ({seed})
+ *   'turnStart' ({playerIndex, player, frameOpening})
+ *   'shot'      ({playerIndex, disc, input}) - input is the shot's
+ *                {angle, power, spin, x, aimError}, as shoot() takes it
+ *   'collision' ({discA, discB, playerIndices, speed, position, time, step,
+ *                shooter}) - two discs met; playerIndices are the owners of
+ *                discA and discB, speed the speed they met at, position
+ *                where they touched, time and step the simulation clock and
+ *                shooter the player whose shot it is
+ *   'discDead'  ({disc, playerIndex}) - a disc of the player dropped off the
+ *                board and scores nothing this frame
+ *   'shotSettled' ({playerIndex, disc}) - the board is at rest after a shot
+ *   'turnEnd'   ({playerIndex})
+ *   'frameEnd'  (summary) - summary.winner is the winning team's index
+ *                when the frame won the game
+ *   'gameOver'  ({winner, scores}) - winning team and the score of every team
+ */
+class GameCore extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {THREE.Scene|null} [options.scene=null] - Scene to draw into; null runs headless
+     * @param {Object} [options.ruleSet] - Rule set from ruleSets.js
+     * @param {Object} [options.surface] - Surface condition from surfaces.js
+     * @param {string} [options.startPolicy] - Who opens each frame, see frameOrder.js
+     * @param {Object[]} [options.players] - One {isAI, remote, name, color} entry per player
+     * @param {Object} [options.format] - Match format from matchFormats.js
+     * @param {number} [options.timeStep=1/60] - Fixed physics step in seconds
+     * @param {number} [options.maxStepsPerUpdate=3] - Most physics steps per update()
+     * @param {number} [options.discCollectTime=0] - Seconds to carry discs back between frames
+     * @param {Object} [options.discSet] - Disc set from discSets.js
+     * @param {boolean} [options.debug=false] - Log the order of every frame
+     */
+    constructor({
+        scene = null,
+        ruleSet = getRuleSet(DEFAULT_RULE_SET),
+        surface = getSurfaceCondition(DEFAULT_SURFACE),
+        startPolicy = DEFAULT_START_POLICY,
+        players = [{ isAI: false }, { isAI: true }],
+        format = getMatchFormat(DEFAULT_MATCH_FORMAT),
+        timeStep = 1 / 60,
+        maxStepsPerUpdate = 3,
+        discCollectTime = 0,
+        discSet = getDiscSet(DEFAULT_DISC_SET),
+        debug = false
+    } = {}) {
+        super();
+        this.scene = scene;
+        this.ruleSet = ruleSet;
+        this.winningScore = ruleSet.winningScore;
+        this.startPolicy = startPolicy;
+        this.discCollectTime = discCollectTime;
+        this.discSet = discSet;
+        this.debug = debug;
+
+        // Physics, stepped at a fixed rate and only while a shot is in flight
+        const { world, materials } = createPhysicsWorld();
+        this.world = world;
+        this.materials = materials;
+        this.simulation = new Simulation(world, { timeStep, maxStepsPerUpdate });
+        if (scene) {
+            scene.userData.world = world;
+        }
+
+        // Gameplay randomness, seeded per game so games can be replayed
+        this.random = random;
+        this.seed = null;
+
+        // Phases of the current turn (aiming, charging, sliding, settling, scoring)
+        this.turn = new TurnStateMachine();
+        this.settleMonitor = new SettleMonitor({ quietTime: 0.3, timeout: 15 });
+        this.activeDisc = null;
+
+        this.board = new Board(scene, world, ruleSet, surface);
+        this.players = [];
+        this.setupPlayers(players, format);
+        this.setDiscSet(discSet);
+
+        this.round = 1;
+        this.currentPlayerIndex = 0;
+        this.frameOrder = { firstPlayer: 0, hammer: 1 }; // Who opens the frame and who shoots last
+        this.frameHistory = []; // {frame, firstPlayer, hammer, totals} of each finished frame
+        this.playDirection = 1; // 1 plays towards +z, -1 towards -z; ends change every frame
+        this.collectingDiscs = false;
+        this.isGameOver = false;
+        this.gameId = 0; // Changes whenever a game starts or stops
+
+        this.simulation.onStep(() => this.checkForDeadDiscs());
+        this.simulation.onStep((step) => this.updateTurn(step));
+        this.world.addEventListener('discCollision', (event) => this.handleDiscCollision(event));
+        this.turn.onStateChange((phase) => {
+            const inFlight = phase === 'sliding' || phase === 'settling';
+            if (inFlight !== this.simulation.active) {
+                this.simulation.setActive(inFlight);
+            }
+        });
+    }
+
+    /**
+     * Replaces the players, e.g. when AI is switched on or off or another
+     * line-up is chosen
+     * @param {Object[]} configs - One {isAI, remote, name, color} entry per
+     *   player; remote marks a player who shoots from another computer in an
+     *   online match. All but isAI are optional.
+     * @param {Object} [format] - Match format from matchFormats.js; keeps the
+     *   current one if omitted
+     */
+    setupPlayers(configs, format = this.format) {
+        this.players.forEach(player => player.remove());
+        this.format = format;
+        this.players = configs.map((config, index) => {
+            const player = new Player(this.scene, !!config.isAI, index, this.ruleSet, this.world, this.discSet);
+            player.name = config.name || `Player ${index + 1}`;
+            player.isRemote = !!config.remote;
+            if (config.color !== undefined) {
+                player.setColor(config.color);
+            }
+            return player;
+        });
+        this.teams = createTeams(format, this.players.length);
+        this.scores = this.teams.map(() => 0);
+        this.currentPlayerIndex = 0;
+    }
+
+    /**
+     * @param {number} playerIndex - Index of a player
+     * @returns {number} Index of the team the player plays for
+     */
+    getTeamOf(playerIndex) {
+        return this.teams.findIndex(team => team.includes(playerIndex));
+    }
+
+    /**
+     * The direction a player shoots in this frame. Everyone changes ends
+     * every frame, except where partners play from opposite ends: then each
+     * player keeps to their own end.
+     * @param {number} playerIndex - Index of a player
+     * @returns {number} 1 towards +z, -1 towards -z
+     */
+    getPlayerDirection(playerIndex) {
+        if (!this.format.splitEnds) return this.playDirection;
+        return playerIndex < this.teams.length ? 1 : -1;
+    }
+
+    /**
+     * The players who shoot in the current frame, in turn order: everyone,
+     * or with partners at opposite ends the players at the end the frame is
+     * shot from. Either way there is one player for each team in singles and
+     * one from each team in doubles, in team order.
+     * @returns {number[]} Player indices
+     */
+    getFramePlayers() {
+        return this.players
+            .map((_, index) => index)
+            .filter(index => this.getPlayerDirection(index) === this.playDirection);
+    }
+
+    /**
+     * Plays under another rule set. The discs are re-racked when the next
+     * game starts.
+     * @param {Object} ruleSet - Rule set from ruleSets.js
+     */
+    setRuleSet(ruleSet) {
+        this.ruleSet = ruleSet;
+        this.winningScore = ruleSet.winningScore;
+        this.board.setRuleSet(ruleSet);
+        this.players.forEach(player => player.setRuleSet(ruleSet));
+    }
+
+    /**
+     * Plays with another set of discs. The new discs are racked when the
+     * next game starts.
+     * @param {Object} discSet - Disc set from discSets.js
+     */
+    setDiscSet(discSet) {
+        this.discSet = discSet;
+        this.players.forEach(player => player.setDiscSet(discSet));
+
+        const contact = this.world.getContactMaterial(discMaterial, discMaterial);
+        if (contact) {
+            contact.restitution = discSet.restitution;
+        }
+    }
+
+    /**
+     * Plays on another surface condition
+     * @param {Object} surface - Surface condition from surfaces.js
+     */
+    setSurface(surface) {
+        this.board.setSurface(surface);
+    }
+
+    /**
+     * Starts a new game and the first turn
+     * @param {Object} [options]
+     * @param {number} [options.seed] - Random seed; a new one is made if omitted
+     */
+    startGame({ seed } = {}) {
+        this.stop();
+
+        // Seed gameplay randomness; the seed is kept so the game can be replayed
+        this.seed = seed ?? Random.createSeed();
+        this.random.setSeed(this.seed);
+        this.simulation.reset();
+        resetPhysicsClock(this.world);
+
+        this.scores = this.teams.map(() => 0);
+        this.round = 1;
+        this.playDirection = 1;
+        this.frameHistory = [];
+        this.isGameOver = false;
+        this.players.forEach(player => {
+            player.reset();
+            // Partners at the foot end rack their discs there
+            if (this.getPlayerDirection(player.index) !== player.direction) {
+                player.setDirection(this.getPlayerDirection(player.index));
+                player.resetDiscs();
+            }
+        });
+
+        this.emit('gameStart', { seed: this.seed });
+
+        this.planNextFrame();
+        this.startTurn();
+    }
+
+    /**
+     * Abandons any game in progress
+     */
+    stop() {
+        this.gameId++;
+        this.settleMonitor.stop();
+        this.turn.reset();
+        this.activeDisc = null;
+    }
+
+    get currentPlayer() {
+        return this.players[this.currentPlayerIndex] || null;
+    }
+
+    getCurrentPlayer() {
+        return this.currentPlayer;
+    }
+
+    /**
+     * Returns the discs other players have already put into play and that
+     * are still in it
+     * @returns {Disc[]}
+     */
+    getOpponentDiscs() {
+        const current = this.getCurrentPlayer();
+        return this.players
+            .filter(player => player !== current)
+            .flatMap(player => player.discs.filter(disc => disc.hasBeenShot && !disc.dead && disc.body));
+    }
+
+    /**
+     * Hands the turn to the current player
+     */
+    startTurn() {
+        if (!this.turn.transition('aiming', { playerIndex: this.currentPlayerIndex })) return;
+
+        this.emit('turnStart', {
+            playerIndex: this.currentPlayerIndex,
+            player: this.currentPlayer,
+            frameOpening: this.getFramePlayers().every(index => this.players[index].currentDiscIndex === 0)
+        });
+    }
+
+    /**
+     * Sets the current player's aim, charge and spin and shoots
+     * @param {Object} shot
+     * @param {number} [shot.angle] - Aim angle in radians from straight down the board
+     * @param {number} [shot.power] - Charge in [0, 1], as shown on the power meter
+     * @param {number} [shot.spin] - Spin in [-1, 1], positive curling to the left
+     * @param {number} [shot.x] - Delivery spot across the board
+     * @param {number} [shot.aimError] - Off-line error the charge put on the
+     *   shot, as replayed from a 'shot' event's input
+     * @returns {Disc|null} The disc that was shot, or null if no shot was taken
+     */
+    shoot({ angle, power, spin, x, aimError } = {}) {
+        const player = this.getCurrentPlayer();
+        if (!player) return null;
+
+        if (angle !== undefined) player.setAim(angle);
+        if (power !== undefined) player.setCharge(power);
+        if (spin !== undefined) player.setSpin(spin);
+        if (x !== undefined) player.setDeliverySpot(x);
+        if (aimError !== undefined) player.aimError = aimError;
+
+        return this.launchShot();
+    }
+
+    /**
+     * Shoots the current player's next disc with its current aim and charge,
+     * then waits for the board to come to rest before scoring
+     * @returns {Disc|null} The disc that was shot, or null if no shot was taken
+     */
+    launchShot() {
+        if (this.isGameOver || !this.turn.is('aiming', 'charging')) return null;
+
+        const player = this.getCurrentPlayer();
+        if (!player) return null;
+
+        const input = player.getShotInput();
+        const disc = player.shoot();
+        if (!disc) {
+            this.endTurn();
+            return null;
+        }
+
+        this.activeDisc = disc;
+        this.turn.transition('sliding', { disc });
+        this.waitForDiscsToSettle(disc);
+        this.emit('shot', { playerIndex: this.currentPlayerIndex, disc, input });
+
+        return disc;
+    }
+
+    /**
+     * Starts watching every disc on the board; updateTurn() scores the shot
+     * once they have all come to rest
+     * @param {Disc} disc - The disc that was just shot
+     */
+    waitForDiscsToSettle(disc) {
+        const discsInPlay = this.players.flatMap(player =>
+            player.discs.filter(d => d.hasBeenShot && !d.dead && d.body)
+        );
+        this.settleMonitor.start(discsInPlay, disc);
+    }
+
+    /**
+     * Advances the physics by the real time that passed
+     * @param {number} delta - Seconds since the last update
+     */
+    update(delta) {
+        this.simulation.update(delta);
+    }
+
+    /**
+     * Steps the physics until the shot in flight has been scored, for
+     * headless play
+     * @param {number} [maxSteps=3600] - Safety limit on the number of steps
+     * @returns {number} Number of steps taken
+     */
+    runUntilSettled(maxSteps = 3600) {
+        let steps = 0;
+        while (this.simulation.active && steps < maxSteps) {
+            this.simulation.step();
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * A fingerprint of where every shot disc lies, for checking that two
+     * games playing the same shots still agree. Positions are rounded to a
+     * tenth of a millimetre first.
+     * @returns {string} 32-bit FNV-1a hash in hex
+     */
+    getPositionHash() {
+        const round = value => Math.round(value * 10000);
+        const text = this.players.map(player =>
+            player.discs
+                .filter(disc => disc.hasBeenShot)
+                .map(disc => {
+                    const position = disc.getPosition();
+                    return disc.dead || !position ? 'dead' : `${round(position.x)},${round(position.z)}`;
+                })
+                .join(';')
+        ).join('|');
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Passes a collision between two discs on to 'collision' listeners, for
+     * sound, effects, statistics and replays
+     * @param {Object} event - 'discCollision' event from the world (see Disc)
+     */
+    handleDiscCollision({ discA, discB, speed, position }) {
+        this.emit('collision', {
+            discA,
+            discB,
+            playerIndices: [discA.playerNum - 1, discB.playerNum - 1],
+            speed,
+            position: { ...position },
+            time: this.simulation.time,
+            step: this.simulation.stepCount,
+            shooter: this.currentPlayerIndex
+        });
+    }
+
+    /**
+     * Marks discs that have dropped off the board as dead, called after
+     * every physics step. A dead disc scores nothing and is collected once
+     * the shot has settled.
+     */
+    checkForDeadDiscs() {
+        this.players.forEach((player, playerIndex) => {
+            player.discs.forEach(disc => {
+                if (!disc.hasBeenShot || disc.dead || !disc.body) return;
+                if (!this.board.hasFallenOff(disc.body)) return;
+
+                disc.dead = true;
+                this.emit('discDead', { disc, playerIndex });
+            });
+        });
+    }
+
+    /**
+     * Takes the dead discs out of play, carrying them back to the rack where
+     * they wait for the next frame
+     */
+    collectDeadDiscs() {
+        this.players.forEach(player => {
+            player.discs.forEach(disc => {
+                if (disc.dead && !disc.collecting && this.world.bodies.includes(disc.body)) {
+                    disc.collect(this.discCollectTime, { returnToPlay: false });
+                }
+            });
+        });
+    }
+
+    /**
+     * Advances the sliding and settling phases of the turn, called after
+     * every physics step
+     * @param {number} delta - Seconds simulated by the step
+     */
+    updateTurn(delta) {
+        if (!this.settleMonitor.isActive || !this.turn.is('sliding', 'settling')) return;
+
+        const status = this.settleMonitor.update(delta);
+
+        if (status === 'settling' && this.turn.is('sliding')) {
+            this.turn.transition('settling');
+            return;
+        }
+
+        if (status === 'settled' || status === 'timeout') {
+            if (status === 'timeout') {
+                console.warn('Discs did not settle in time, stopping them');
+                this.stopAllDiscs();
+            }
+
+            const disc = this.activeDisc;
+            this.settleMonitor.stop();
+            this.activeDisc = null;
+            this.collectDeadDiscs();
+
+            if (this.turn.is('sliding')) {
+                this.turn.transition('settling');
+            }
+            this.turn.transition('scoring');
+            this.emit('shotSettled', { playerIndex: this.currentPlayerIndex, disc });
+            this.checkScoring();
+        }
+    }
+
+    /**
+     * Brings every disc to an immediate stop
+     */
+    stopAllDiscs() {
+        this.players.forEach(player => {
+            player.discs.forEach(disc => {
+                if (disc.body) {
+                    disc.body.velocity.set(0, 0, 0);
+                    disc.body.angularVelocity.set(0, 0, 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Passes the turn on to the next player of the frame who still has
+     * discs to play
+     */
+    endTurn() {
+        if (this.isGameOver) return;
+
+        this.emit('turnEnd', { playerIndex: this.currentPlayerIndex });
+
+        const framePlayers = this.getFramePlayers();
+        let position = framePlayers.indexOf(this.currentPlayerIndex);
+        for (let i = 0; i < framePlayers.length; i++) {
+            position = (position + 1) % framePlayers.length;
+            if (this.players[framePlayers[position]].hasDiscsLeft()) break;
+        }
+        this.currentPlayerIndex = framePlayers[position];
+
+        this.startTurn();
+    }
+
+    /**
+     * Called once all discs have stopped moving after a shot. Discs can
+     * still be knocked off or pushed between zones, so points are only
+     * counted when the frame is over.
+     */
+    checkScoring() {
+        if (this.isGameOver) return;
+
+        const frameComplete = this.getFramePlayers().every(index => !this.players[index].hasDiscsLeft());
+        if (frameComplete) {
+            this.endRound();
+        } else {
+            this.endTurn();
+        }
+    }
+
+    /**
+     * Works out where every disc of the frame finished and what it scores
+     * under the active rule set
+     * @returns {{frame: number, firstPlayer: number, hammer: number, players: Object[],
+     *   teams: Object[]}} Per-player disc results and totals, and the
+     *   {index, players, total} of every team
+     */
+    scoreFrame() {
+        const shotDiscs = this.players.map(player => player.discs.filter(disc => disc.hasBeenShot));
+        const players = this.scoreBoard();
+
+        players.forEach((result, index) => {
+            result.discs.forEach(({ value, type, counted }, i) => {
+                const disc = shotDiscs[index][i];
+                disc.points = counted ? value : 0;
+                disc.scoreType = type;
+                disc.scored = disc.points !== 0;
+            });
+        });
+
+        return {
+            frame: this.round,
+            firstPlayer: this.frameOrder.firstPlayer,
+            hammer: this.frameOrder.hammer,
+            players,
+            teams: this.teams.map((members, index) => ({
+                index,
+                players: [...members],
+                total: members.reduce((sum, member) => sum + players[member].total, 0)
+            }))
+        };
+    }
+
+    /**
+     * Scores the discs on the board as they lie now, without marking them
+     * @returns {{index: number, discs: Object[], total: number}[]} As scoreLayout()
+     */
+    scoreBoard() {
+        return this.scoreLayout(this.players.map(player =>
+            player.discs.filter(disc => disc.hasBeenShot).map(disc => ({
+                position: disc.getPosition(),
+                radius: disc.radius,
+                dead: disc.dead
+            }))
+        ));
+    }
+
+    /**
+     * Scores discs lying at the given spots under the active rule set and
+     * this frame's direction, without touching any real disc. scoreFrame()
+     * scores the board with it; the AI scores the outcomes of shots it tries.
+     * @param {{position: {x: number, z: number}|null, radius: number, dead: boolean}[][]} layout -
+     *   The shot discs of each player
+     * @returns {{index: number, discs: Object[], total: number}[]} Per-player
+     *   disc results, in layout order, and totals
+     */
+    scoreLayout(layout) {
+        const players = layout.map((discs, index) => ({
+            index,
+            discs: discs.map(({ position, radius, dead }) => {
+                let result;
+
+                if (dead) {
+                    result = { value: 0, type: 'dead', zone: null };
+                } else if (!position || this.board.isOutOfBounds(position.x, position.z, radius, this.playDirection)) {
+                    result = { value: 0, type: 'out', zone: null };
+                } else {
+                    // Discs score in the area at the far end for this frame's direction
+                    result = this.board.getScoreForPosition(position.x, position.z, radius, this.playDirection) ||
+                             { value: 0, type: 'none', zone: null };
+                }
+
+                // How far down the board the disc travelled, whichever end it was shot from
+                result.distance = position && !dead ? position.z * this.playDirection : -Infinity;
+                result.counted = true;
+                return result;
+            })
+        }));
+
+        if (this.ruleSet.scoring === 'leader') {
+            this.applyLeaderScoring(players);
+        }
+
+        players.forEach(result => {
+            result.total = result.discs
+                .filter(disc => disc.counted)
+                .reduce((sum, disc) => sum + disc.value, 0);
+        });
+
+        return players;
+    }
+
+    /**
+     * Table shuffleboard scoring: only the player with the disc furthest down
+     * the board scores, and only with the discs beyond every opposing disc.
+     * Nobody scores when the furthest discs are level.
+     * @param {Object[]} players - Per-player disc results from scoreFrame()
+     */
+    applyLeaderScoring(players) {
+        const inPlay = disc => disc.type !== 'out' && disc.type !== 'dead';
+        const furthest = players.map(result => Math.max(
+            -Infinity,
+            ...result.discs.filter(inPlay).map(disc => disc.distance)
+        ));
+        const best = Math.max(...furthest);
+        const leaders = furthest.filter(distance => distance === best);
+        const leaderIndex = leaders.length === 1 && best > -Infinity ? furthest.indexOf(best) : -1;
+
+        players.forEach((result, i) => {
+            const opponentBest = Math.max(-Infinity, ...furthest.filter((_, j) => j !== i));
+            result.discs.forEach(disc => {
+                disc.counted = i === leaderIndex && inPlay(disc) && disc.distance > opponentBest;
+            });
+        });
+    }
+
+    /**
+     * Ends the round once every disc has been played: scores the frame and
+     * banks the points for each team. Play carries on with startNextFrame()
+     * unless the frame won the game.
+     * @returns {Object} The frame summary from scoreFrame()
+     */
+    endRound() {
+        this.turn.reset();
+
+        const summary = this.scoreFrame();
+        summary.players.forEach(result => {
+            this.players[result.index].updateScore(result.total);
+        });
+        summary.teams.forEach(team => {
+            this.scores[team.index] += team.total;
+        });
+
+        this.frameHistory.push({
+            frame: summary.frame,
+            firstPlayer: summary.firstPlayer,
+            hammer: summary.hammer,
+            totals: summary.players.map(result => result.total),
+            teamTotals: summary.teams.map(team => team.total)
+        });
+
+        summary.winner = this.checkWinCondition();
+        this.emit('frameEnd', summary);
+
+        if (summary.winner !== null) {
+            this.isGameOver = true;
+            this.emit('gameOver', { winner: summary.winner, scores: [...this.scores] });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Sends the players to the other end of the board (or, with partners at
+     * opposite ends, play to the other pair), collects the discs back to
+     * their delivery end, swaps the sides the colours play from and starts
+     * the next frame
+     * @returns {Promise<void>} Resolves once the next frame has started
+     */
+    async startNextFrame() {
+        if (this.isGameOver || this.collectingDiscs) return;
+
+        const gameId = this.gameId;
+        this.collectingDiscs = true;
+        try {
+            this.playDirection = -this.playDirection;
+            this.players.forEach(player => {
+                player.setDirection(this.getPlayerDirection(player.index));
+                player.swapDeliverySide();
+            });
+            await Promise.all(this.players.map(player => player.resetDiscs(this.discCollectTime)));
+        } finally {
+            this.collectingDiscs = false;
+        }
+
+        // The game may have been abandoned while the discs were travelling
+        if (gameId !== this.gameId) return;
+
+        this.round++;
+        this.planNextFrame();
+        this.startTurn();
+    }
+
+    /**
+     * Decides who opens the coming frame under the start policy, and so who
+     * holds the hammer, and hands the first turn to the opener. The policy
+     * goes by teams, so the last frame's result carries over when the other
+     * pair of a doubles match plays this one.
+     */
+    planNextFrame() {
+        const framePlayers = this.getFramePlayers();
+        const previous = this.frameHistory[this.frameHistory.length - 1] || null;
+        // Position in this frame's turn order of the player from a team
+        const positionOf = (team) => framePlayers.findIndex(index => this.getTeamOf(index) === team);
+
+        const order = planFrame(this.startPolicy, {
+            playerCount: framePlayers.length,
+            previousFrame: previous && {
+                firstPlayer: positionOf(this.getTeamOf(previous.firstPlayer)),
+                totals: framePlayers.map(index => previous.teamTotals[this.getTeamOf(index)])
+            }
+        });
+        this.frameOrder = {
+            firstPlayer: framePlayers[order.firstPlayer],
+            hammer: framePlayers[order.hammer]
+        };
+        this.currentPlayerIndex = this.frameOrder.firstPlayer;
+
+        if (this.debug) {
+            console.log(`[DEBUG] Frame ${this.round}: Player ${this.frameOrder.firstPlayer + 1} opens, ` +
+                        `Player ${this.frameOrder.hammer + 1} has the hammer`);
+        }
+    }
+
+    /**
+     * Finds a winner: the team with the highest score at or above the
+     * winning score. Teams tied at the top keep playing.
+     * @returns {number|null} Index of the winning team, or null if no winner yet
+     */
+    checkWinCondition() {
+        const best = Math.max(...this.scores);
+        if (best < this.winningScore) return null;
+
+        const leaders = this.scores.filter(score => score === best);
+        return leaders.length === 1 ? this.scores.indexOf(best) : null;
+    }
+}
+
+export { createPhysicsWorld, resetPhysicsClock };
+export default GameCore;
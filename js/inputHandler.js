@@ -17,6 +17,8 @@ class InputHandler {
             isDragging: false
         };
         
+        this._callbacks = {};
+        
         this.bindEvents();
     }
     
@@ -24,24 +26,36 @@ class InputHandler {
         // Keyboard events
         window.addEventListener('keydown', (e) => {
             this.keys[e.key.toLowerCase()] = true;
+            this.emit('keydown', e.key);
         });
         
         window.addEventListener('keyup', (e) => {
             this.keys[e.key.toLowerCase()] = false;
+            this.emit('keyup', e.key);
         });
         
         // Mouse events
         window.addEventListener('mousemove', (e) => {
             this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
             this.mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+            this.emit('pointermove', this.getMousePosition());
         });
         
         window.addEventListener('mousedown', (e) => {
             this.mouse.buttons[e.button] = true;
+            
+            // Only presses on the game canvas count as shots, not clicks on UI buttons
+            if (e.button === 0 && e.target instanceof HTMLCanvasElement) {
+                this.emit('pointerdown', this.getMousePosition());
+            }
         });
         
         window.addEventListener('mouseup', (e) => {
+            const wasDown = this.mouse.buttons[e.button] === true;
             this.mouse.buttons[e.button] = false;
+            if (e.button === 0 && wasDown) {
+                this.emit('pointerup', this.getMousePosition());
+            }
         });
         
         window.addEventListener('wheel', (e) => {
@@ -100,6 +114,36 @@ class InputHandler {
         }, { passive: false });
     }
     
+    on(event, callback) {
+        if (typeof callback !== 'function') return this;
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return this;
+    }
+    
+    off(event, callback) {
+        if (!this._callbacks[event]) return this;
+        
+        if (callback) {
+            const index = this._callbacks[event].indexOf(callback);
+            if (index !== -1) this._callbacks[event].splice(index, 1);
+        } else {
+            delete this._callbacks[event];
+        }
+        
+        return this;
+    }
+    
+    emit(event, ...args) {
+        const callbacks = this._callbacks[event];
+        if (callbacks) {
+            callbacks.forEach(callback => callback(...args));
+        }
+        return this;
+    }
+    
     isKeyDown(key) {
         return this.keys[key.toLowerCase()] === true;
     }
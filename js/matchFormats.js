@@ -0,0 +1,65 @@
+// Match formats decide how many players take part and who partners whom.
+// In singles everyone plays for themselves and every player shoots every
+// frame. In doubles two teams of two play court style: partners stand at
+// opposite ends, and each frame is played by the two opponents at the end
+// it is shot from, so each pair plays every other frame. Scores are kept
+// per team either way; in singles a team is a single player.
+
+import { lookupPreset } from './presets.js';
+
+// minPlayers, maxPlayers: how many can play in the format
+// teamSize:               players on each team
+// splitEnds:              whether partners play from opposite ends. The
+//                         first player of each team plays from the head
+//                         end (shooting towards +z), their partners from
+//                         the foot end.
+const MATCH_FORMATS = {
+    singles: {
+        id: 'singles',
+        name: 'Singles',
+        minPlayers: 2,
+        maxPlayers: 4,
+        teamSize: 1,
+        splitEnds: false
+    },
+    doubles: {
+        id: 'doubles',
+        name: 'Doubles',
+        minPlayers: 4,
+        maxPlayers: 4,
+        teamSize: 2,
+        splitEnds: true
+    }
+};
+
+const DEFAULT_MATCH_FORMAT = 'singles';
+
+// Disc colours of players who haven't picked their own, by player index
+const PLAYER_COLORS = [0xff0000, 0x0000ff, 0x00a651, 0xffc107];
+
+/**
+ * Looks up a match format by id
+ * @param {string} id - 'singles' or 'doubles'
+ * @returns {Object} A copy of the match format, safe to modify
+ */
+function getMatchFormat(id) {
+    return lookupPreset(MATCH_FORMATS, id, 'match format', DEFAULT_MATCH_FORMAT);
+}
+
+/**
+ * Splits the players into teams. Player i plays for team i % teamCount,
+ * so the first player of every team comes before any partner.
+ * @param {Object} format - Match format from getMatchFormat()
+ * @param {number} playerCount - Number of players in the game
+ * @returns {number[][]} Player indices of each team
+ */
+function createTeams(format, playerCount) {
+    const teamCount = Math.max(1, Math.floor(playerCount / format.teamSize));
+    const teams = Array.from({ length: teamCount }, () => []);
+    for (let i = 0; i < playerCount; i++) {
+        teams[i % teamCount].push(i);
+    }
+    return teams;
+}
+
+export { MATCH_FORMATS, DEFAULT_MATCH_FORMAT, PLAYER_COLORS, getMatchFormat, createTeams };
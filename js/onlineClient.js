@@ -0,0 +1,281 @@
+import EventEmitter from './eventEmitter.js';
+import { PROTOCOL_VERSION, RELAYED_MESSAGES, parseMessage, normalizeRoomCode } from './onlineProtocol.js';
+
+// Everything a shot is replayed from, see Player.getShotInput()
+const SHOT_INPUTS = ['angle', 'power', 'spin', 'x', 'aimError'];
+
+/**
+ * The game's end of an online match: connects to the online server (see
+ * onlineServer.js), hosts or joins a room, and trades shots and frame
+ * hashes with the opponent. Shots arrive as the inputs they were played
+ * with and queue up until the game is ready to play them; frame hashes are
+ * checked against the local game's and a mismatch reported as a desync.
+ *
+ * Events, subscribed to with on():
+ *   'hosted'       ({code}) - the room is open, waiting for an opponent
+ *   'start'        ({code, seat, seed, settings, names}) - the match begins
+ *   'shot'         ({number, input}) - an opponent's shot has been queued
+ *   'frameChecked' ({frame, hash}) - both games ended the frame alike
+ *   'desync'       ({frame, local, remote}) - the games no longer agree
+ *   'opponentLeft' ()
+ *   'error'        ({message})
+ *   'disconnected' ()
+ */
+class OnlineClient extends EventEmitter {
+    constructor() {
+        super();
+        this.socket = null;
+        this.match = null; // The 'start' message of the match being played
+        this.reset();
+    }
+
+    /**
+     * Forgets the shots and hashes of the last match
+     */
+    reset() {
+        this.shotsSent = 0;
+        this.shotsReceived = 0;
+        this.shotQueue = [];
+        this.hashes = new Map(); // {local, remote} hashes by frame
+    }
+
+    get isConnected() {
+        return this.socket?.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * The server to use when none is given: the one the game was loaded
+     * from, or one on this computer when the game was opened as a file
+     * @returns {string}
+     */
+    static getDefaultServer() {
+        const { protocol, host } = window.location;
+        if (protocol === 'http:' || protocol === 'https:') {
+            return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}/`;
+        }
+        return 'ws://localhost:8080/';
+    }
+
+    /**
+     * Connects to the online server, unless already connected to it
+     * @param {string} url - WebSocket URL of the server
+     * @returns {Promise<void>} Resolves once connected
+     */
+    connect(url) {
+        if (this.isConnected && this.socket.url === new URL(url).href) {
+            return Promise.resolve();
+        }
+        this.disconnect();
+
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                reject(new Error(`Can't connect to ${url}: ${error.message}`));
+                return;
+            }
+            this.socket = socket;
+
+            socket.addEventListener('open', () => resolve(), { once: true });
+            socket.addEventListener('message', (event) => this.handleMessage(event.data));
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                reject(new Error(`Can't connect to ${url}`));
+                this.emit('disconnected');
+            });
+        });
+    }
+
+    /**
+     * Leaves any match and closes the connection
+     */
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        this.match = null;
+        if (socket && socket.readyState <= WebSocket.OPEN) {
+            socket.close(1000);
+        }
+    }
+
+    /**
+     * Sends a message to the server
+     * @param {Object} message - Message with a type, see onlineProtocol.js
+     * @returns {boolean} Whether it was sent
+     */
+    send(message) {
+        if (!this.isConnected) {
+            console.warn(`Not connected, dropping ${message.type} message`);
+            return false;
+        }
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Opens a room for a match played under the given settings
+     * @param {Object} options
+     * @param {string} options.name - The host's name
+     * @param {Object} options.settings - Game settings both sides play under
+     * @param {number} options.seed - Random seed of the game
+     */
+    host({ name, settings, seed }) {
+        this.send({ type: 'host', version: PROTOCOL_VERSION, name, settings, seed });
+    }
+
+    /**
+     * Joins the room with the given code
+     * @param {Object} options
+     * @param {string} options.name - The guest's name
+     * @param {string} options.code - Room code from the host
+     */
+    join({ name, code }) {
+        this.send({ type: 'join', version: PROTOCOL_VERSION, name, code: normalizeRoomCode(code) });
+    }
+
+    /**
+     * Leaves the room or match, letting the opponent know
+     */
+    leave() {
+        if (this.isConnected) {
+            this.send({ type: 'leave' });
+        }
+        this.match = null;
+        this.reset();
+    }
+
+    /**
+     * Sends the inputs of a shot played on this side
+     * @param {Object} input - The shot's {angle, power, spin, x, aimError}
+     */
+    sendShot(input) {
+        this.send({ type: 'shot', number: this.shotsSent++, input });
+    }
+
+    /**
+     * Sends the hash of the disc positions at the end of a frame and checks
+     * it against the opponent's if that has already arrived
+     * @param {number} frame - Number of the frame
+     * @param {string} hash - From GameCore.getPositionHash()
+     */
+    sendFrameHash(frame, hash) {
+        this.getHashes(frame).local = hash;
+        this.send({ type: 'frameHash', frame, hash });
+        this.checkFrame(frame);
+    }
+
+    /**
+     * @returns {boolean} Whether an opponent's shot is waiting to be played
+     */
+    hasShot() {
+        return this.shotQueue.length > 0;
+    }
+
+    /**
+     * Takes the opponent's next shot off the queue
+     * @returns {Object|null} The {angle, power, spin, x, aimError} to play it with
+     */
+    takeShot() {
+        return this.shotQueue.shift() ?? null;
+    }
+
+    /**
+     * Acts on a message from the server
+     * @param {string} text - The message as received
+     */
+    handleMessage(text) {
+        const message = parseMessage(text);
+        if (!message) {
+            console.warn('Ignoring a message that is not JSON with a type');
+            return;
+        }
+
+        // Match messages only mean something during a match
+        if (RELAYED_MESSAGES.includes(message.type) && !this.match) return;
+
+        switch (message.type) {
+            case 'hosted':
+                this.emit('hosted', { code: message.code });
+                break;
+
+            case 'start':
+                this.reset();
+                this.match = message;
+                this.emit('start', message);
+                break;
+
+            case 'shot':
+                if (!isShotInput(message.input)) {
+                    this.emit('error', { message: "Your opponent sent a shot that can't be played" });
+                    return;
+                }
+                // The connection keeps messages in order, so a gap means a bug
+                if (message.number !== this.shotsReceived) {
+                    this.emit('desync', { frame: null, local: this.shotsReceived, remote: message.number });
+                    return;
+                }
+                this.shotsReceived++;
+                this.shotQueue.push(message.input);
+                this.emit('shot', { number: message.number, input: message.input });
+                break;
+
+            case 'frameHash':
+                this.getHashes(message.frame).remote = message.hash;
+                this.checkFrame(message.frame);
+                break;
+
+            case 'opponentLeft':
+                this.match = null;
+                this.emit('opponentLeft');
+                break;
+
+            case 'error':
+                this.emit('error', { message: message.message });
+                break;
+
+            default:
+                console.warn(`Unknown message from the server: ${message.type}`);
+        }
+    }
+
+    /**
+     * @param {number} frame
+     * @returns {{local: string|undefined, remote: string|undefined}} The hashes
+     *   of the frame so far
+     */
+    getHashes(frame) {
+        if (!this.hashes.has(frame)) {
+            this.hashes.set(frame, {});
+        }
+        return this.hashes.get(frame);
+    }
+
+    /**
+     * Compares the two hashes of a frame once both are in
+     * @param {number} frame
+     */
+    checkFrame(frame) {
+        const { local, remote } = this.getHashes(frame);
+        if (local === undefined || remote === undefined) return;
+
+        this.hashes.delete(frame);
+        if (local === remote) {
+            this.emit('frameChecked', { frame, hash: local });
+        } else {
+            console.warn(`Frame ${frame} ended differently: ${local} here, ${remote} for the opponent`);
+            this.emit('desync', { frame, local, remote });
+        }
+    }
+}
+
+/**
+ * @param {*} input - Shot inputs as received
+ * @returns {boolean} Whether they can be passed to GameCore.shoot()
+ */
+function isShotInput(input) {
+    return !!input && SHOT_INPUTS.every(key => Number.isFinite(input[key]));
+}
+
+export default OnlineClient;
@@ -0,0 +1,73 @@
+// Messages between the online server and the game, as JSON objects with a
+// type. The server keeps the lobby: a host opens a room under a short code,
+// a guest joins with the code, and from then on the server passes the
+// match messages of one player on to the other without reading them.
+//
+// Players never send disc positions. Both games run the same deterministic
+// simulation from the same seed and settings, so each one only needs the
+// inputs of the other player's shots to play them out exactly the same. At
+// the end of every frame both send a hash of where the discs lie; a
+// mismatch means the games have drifted apart.
+//
+// To the server:
+//   host      {version, name, settings, seed}  Opens a room, answered with 'hosted'
+//   join      {version, name, code}            Joins a room; both players get 'start'
+//   leave     {}                               Leaves the room; the other player gets 'opponentLeft'
+// From the server:
+//   hosted       {code}                        The code to give the other player
+//   start        {code, seat, seed, settings, names}  The match begins; seat 0 is the host
+//   opponentLeft {}
+//   error        {message}
+// Passed on to the other player of the room:
+//   shot      {number, input}                  The game's shot number (from 0) and the
+//                                              {angle, power, spin, x, aimError} it was shot with
+//   frameHash {frame, hash}                    Hash of the disc positions at the end of a frame
+
+const PROTOCOL_VERSION = 1;
+
+// Match messages the server passes on unread
+const RELAYED_MESSAGES = ['shot', 'frameHash'];
+
+// Room codes are made of letters that can't be mistaken for each other
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+
+// Longest message either side accepts, in bytes
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+/**
+ * Reads a message
+ * @param {string} text - JSON text received
+ * @returns {Object|null} The message, or null if it isn't one
+ */
+function parseMessage(text) {
+    try {
+        const message = JSON.parse(text);
+        if (message && typeof message === 'object' && typeof message.type === 'string') {
+            return message;
+        }
+    } catch (error) {
+        // Not JSON; handled as not a message
+    }
+    return null;
+}
+
+/**
+ * Puts a room code into the form the server hands out, so codes typed in
+ * lower case or with spaces still match
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+function normalizeRoomCode(code) {
+    return String(code ?? '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+export {
+    PROTOCOL_VERSION,
+    RELAYED_MESSAGES,
+    ROOM_CODE_LETTERS,
+    ROOM_CODE_LENGTH,
+    MAX_MESSAGE_SIZE,
+    parseMessage,
+    normalizeRoomCode
+};
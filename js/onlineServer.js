@@ -0,0 +1,647 @@
+// Reference server for online matches: keeps the lobby of rooms and passes
+// each player's match messages on to their opponent (see onlineProtocol.js).
+// It also serves the game's files, so one command hosts everything needed
+// to play on a local network. It uses nothing but Node's own modules; the
+// WebSocket protocol (RFC 6455) is handled here rather than by a library.
+// Run from the project root:
+//
+//   node --experimental-default-type=module js/onlineServer.js --port 8080
+//
+// then open http://localhost:8080/ in two browsers.
+//
+// --port N        Port to listen on (8080)
+// --host NAME     Address to listen on; 0.0.0.0 to let other machines join (localhost)
+// --no-static     Only run the lobby, without serving the game's files
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    PROTOCOL_VERSION,
+    RELAYED_MESSAGES,
+    ROOM_CODE_LETTERS,
+    ROOM_CODE_LENGTH,
+    MAX_MESSAGE_SIZE,
+    parseMessage,
+    normalizeRoomCode
+} from './onlineProtocol.js';
+import { parseArgs } from './cliArgs.js';
+
+// Appended to a client's key to prove the server speaks WebSocket (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// Close codes sent by the server
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_UNSUPPORTED = 1003;
+const CLOSE_INVALID_DATA = 1007;
+const CLOSE_TOO_BIG = 1009;
+
+// Control frames (close, ping and pong) may not be split and carry at most
+// this many bytes
+const MAX_CONTROL_PAYLOAD = 125;
+
+// Text messages must be UTF-8; a fatal decoder throws on anything else
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+const PING_INTERVAL = 30000; // Milliseconds between pings; a connection that misses one is dropped
+const MAX_ROOMS = 1000;
+
+const STATIC_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Whether an endpoint may send a close code (RFC 6455 section 7.4). Codes
+ * below 1000 are unused, 1004 is reserved, and 1005, 1006 and 1015 only
+ * ever describe a closed connection locally; 3000-4999 are for libraries
+ * and applications.
+ * @param {number} code
+ * @returns {boolean}
+ */
+function isValidCloseCode(code) {
+    return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+           (code >= 3000 && code <= 4999);
+}
+
+/**
+ * One client's WebSocket connection, on top of the socket the HTTP upgrade
+ * handed over. Reads the client's frames, joining fragmented messages and
+ * answering pings and closes, and sends text messages back.
+ */
+class Connection {
+    /**
+     * @param {net.Socket} socket - Socket of the upgraded request
+     * @param {Object} handlers
+     * @param {Function} handlers.onMessage - Called with (connection, text) for every text message
+     * @param {Function} handlers.onClose - Called with (connection) once the connection is gone
+     */
+    constructor(socket, { onMessage, onClose }) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // Payloads of a text message still arriving in pieces
+        this.closing = false;
+        this.closed = false;
+        this.alive = true; // Cleared by each ping, set again by the pong
+        this.room = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', (error) => {
+            console.warn('Connection error:', error.message);
+            socket.destroy();
+        });
+    }
+
+    /**
+     * Reads every complete frame received so far
+     * @param {Buffer} chunk - Bytes just received
+     */
+    handleData(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        // Nothing more is read once either side has started closing
+        while (!this.closing && !this.closed) {
+            const frame = this.readFrame();
+            if (!frame) break;
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Takes the next frame off the buffer
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} The
+     *   frame, or null until all of it has arrived or if it was refused
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const reserved = buffer[0] & 0x70;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        // Clients must mask every frame they send
+        if (!masked) {
+            this.close(CLOSE_PROTOCOL_ERROR, 'Frames must be masked');
+            return null;
+        }
+        // No extension is agreed on, so the bits reserved for them stay clear
+        if (reserved) {
+            this.close(CLOSE_PROTOCOL_ERROR, 'Reserved bits must be clear');
+            return null;
+        }
+        if (opcode >= OPCODES.close && (!fin || length > MAX_CONTROL_PAYLOAD)) {
+            this.close(CLOSE_PROTOCOL_ERROR, 'Control frames must be whole and short');
+            return null;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_TOO_BIG, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Acts on a frame from the client
+     * @param {{fin: boolean, opcode: number, payload: Buffer}} frame
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation: {
+                if (opcode === OPCODES.text && this.fragments) {
+                    this.close(CLOSE_PROTOCOL_ERROR, 'Expected a continuation frame');
+                    return;
+                }
+                if (opcode === OPCODES.continuation && !this.fragments) {
+                    this.close(CLOSE_PROTOCOL_ERROR, 'Nothing to continue');
+                    return;
+                }
+
+                const fragments = [...(this.fragments || []), payload];
+                const size = fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(CLOSE_TOO_BIG, 'Message too big');
+                    return;
+                }
+
+                if (!fin) {
+                    this.fragments = fragments;
+                    return;
+                }
+                this.fragments = null;
+
+                let text;
+                try {
+                    text = utf8Decoder.decode(Buffer.concat(fragments));
+                } catch (error) {
+                    this.close(CLOSE_INVALID_DATA, 'Text must be UTF-8');
+                    return;
+                }
+                this.onMessage(this, text);
+                break;
+            }
+
+            case OPCODES.binary:
+                this.close(CLOSE_UNSUPPORTED, 'Only text messages are understood');
+                break;
+
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+
+            case OPCODES.close: {
+                // Echo the client's code and hang up, unless it is one no
+                // endpoint may send
+                if (payload.length === 0) {
+                    this.close(CLOSE_NORMAL);
+                } else if (payload.length >= 2 && isValidCloseCode(payload.readUInt16BE(0))) {
+                    this.close(payload.readUInt16BE(0));
+                } else {
+                    this.close(CLOSE_PROTOCOL_ERROR, 'Invalid close code');
+                }
+                break;
+            }
+
+            default:
+                this.close(CLOSE_PROTOCOL_ERROR, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    /**
+     * Writes one unmasked frame, as servers send them
+     * @param {number} opcode - One of OPCODES
+     * @param {Buffer} [payload]
+     */
+    sendFrame(opcode, payload = Buffer.alloc(0)) {
+        if (this.closed || this.socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Sends a message
+     * @param {Object} message - Message with a type, see onlineProtocol.js
+     */
+    send(message) {
+        if (this.closing) return;
+        this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Pings the client, or drops it if it didn't answer the last ping
+     */
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.sendFrame(OPCODES.ping);
+    }
+
+    /**
+     * Sends a close frame and ends the connection
+     * @param {number} [code=CLOSE_NORMAL] - Close code
+     * @param {string} [reason=''] - Reason given to the client
+     */
+    close(code = CLOSE_NORMAL, reason = '') {
+        if (this.closing) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.closing = true;
+        this.socket.end();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+/**
+ * The rooms open on the server. A room holds its host, and once someone has
+ * joined with its code, its guest; the match messages of one are passed on
+ * to the other.
+ */
+class Lobby {
+    constructor() {
+        this.rooms = new Map(); // Rooms by code: {code, host, guest, settings, seed, names}
+    }
+
+    /**
+     * Acts on a message from a player
+     * @param {Connection} connection - Who sent it
+     * @param {string} text - The message as received
+     */
+    handleMessage(connection, text) {
+        const message = parseMessage(text);
+        if (!message) {
+            connection.send({ type: 'error', message: 'Messages must be JSON with a type' });
+            return;
+        }
+
+        if (RELAYED_MESSAGES.includes(message.type)) {
+            this.relay(connection, message);
+            return;
+        }
+
+        switch (message.type) {
+            case 'host':
+                this.host(connection, message);
+                break;
+            case 'join':
+                this.join(connection, message);
+                break;
+            case 'leave':
+                this.leave(connection);
+                break;
+            default:
+                connection.send({ type: 'error', message: `Unknown message: ${message.type}` });
+        }
+    }
+
+    /**
+     * Opens a room for the connection and sends back its code
+     * @param {Connection} connection
+     * @param {Object} message - 'host' message
+     */
+    host(connection, { version, name, settings, seed }) {
+        if (!this.checkVersion(connection, version)) return;
+        if (this.rooms.size >= MAX_ROOMS) {
+            connection.send({ type: 'error', message: 'The server is full, try again later' });
+            return;
+        }
+        if (!settings || typeof settings !== 'object' || !Number.isSafeInteger(seed)) {
+            connection.send({ type: 'error', message: 'A room needs the match settings and a seed' });
+            return;
+        }
+
+        this.leave(connection);
+
+        const code = this.createCode();
+        const room = { code, host: connection, guest: null, settings, seed, names: [cleanName(name, 'Player 1')] };
+        this.rooms.set(code, room);
+        connection.room = room;
+
+        connection.send({ type: 'hosted', code });
+        console.log(`Room ${code} opened (${this.rooms.size} open)`);
+    }
+
+    /**
+     * Puts the connection into the room with the given code and starts the match
+     * @param {Connection} connection
+     * @param {Object} message - 'join' message
+     */
+    join(connection, { version, name, code }) {
+        if (!this.checkVersion(connection, version)) return;
+
+        const room = this.rooms.get(normalizeRoomCode(code));
+        if (!room || room.host === connection) {
+            connection.send({ type: 'error', message: `No room with the code ${normalizeRoomCode(code) || '(none)'}` });
+            return;
+        }
+        if (room.guest) {
+            connection.send({ type: 'error', message: `Room ${room.code} already has two players` });
+            return;
+        }
+
+        this.leave(connection);
+
+        room.guest = connection;
+        room.names.push(cleanName(name, 'Player 2'));
+        connection.room = room;
+
+        [room.host, room.guest].forEach((player, seat) => {
+            player.send({
+                type: 'start',
+                code: room.code,
+                seat,
+                seed: room.seed,
+                settings: room.settings,
+                names: room.names
+            });
+        });
+        console.log(`Room ${room.code} started`);
+    }
+
+    /**
+     * Passes a match message on to the sender's opponent
+     * @param {Connection} connection - Who sent it
+     * @param {Object} message - One of RELAYED_MESSAGES
+     */
+    relay(connection, message) {
+        const room = connection.room;
+        const opponent = room && (room.host === connection ? room.guest : room.host);
+        if (!opponent) {
+            connection.send({ type: 'error', message: 'There is no match to send that to' });
+            return;
+        }
+        opponent.send(message);
+    }
+
+    /**
+     * Takes the connection out of its room and closes the room, telling the
+     * opponent if there was one
+     * @param {Connection} connection
+     */
+    leave(connection) {
+        const room = connection.room;
+        if (!room) return;
+
+        connection.room = null;
+        const opponent = room.host === connection ? room.guest : room.host;
+        if (opponent) {
+            opponent.room = null;
+            opponent.send({ type: 'opponentLeft' });
+        }
+
+        this.rooms.delete(room.code);
+        console.log(`Room ${room.code} closed (${this.rooms.size} open)`);
+    }
+
+    /**
+     * Turns away clients built against another protocol version
+     * @param {Connection} connection
+     * @param {number} version - Version the client speaks
+     * @returns {boolean} Whether the client may go on
+     */
+    checkVersion(connection, version) {
+        if (version === PROTOCOL_VERSION) return true;
+
+        connection.send({
+            type: 'error',
+            message: `The server speaks version ${PROTOCOL_VERSION} of the online protocol and this game ` +
+                     `version ${version}; update whichever is older`
+        });
+        return false;
+    }
+
+    /**
+     * @returns {string} A room code no open room is using
+     */
+    createCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+/**
+ * Trims a player's name to something safe to show the other player
+ * @param {*} name - Name as sent
+ * @param {string} fallback - Name to use if there is none
+ * @returns {string}
+ */
+function cleanName(name, fallback) {
+    const cleaned = String(name ?? '').replace(/[\u0000-\u001f]/g, '').trim().slice(0, 16);
+    return cleaned || fallback;
+}
+
+/**
+ * Completes the WebSocket handshake of an upgrade request
+ * @param {http.IncomingMessage} request
+ * @param {net.Socket} socket
+ * @returns {boolean} Whether the connection is now a WebSocket
+ */
+function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = String(request.headers.upgrade || '').toLowerCase();
+    const valid = request.method === 'GET' &&
+                  upgrade === 'websocket' &&
+                  request.headers['sec-websocket-version'] === '13' &&
+                  typeof key === 'string' &&
+                  Buffer.from(key, 'base64').length === 16;
+
+    if (!valid) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return false;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return true;
+}
+
+/**
+ * Serves a file of the game, never anything outside the project or hidden
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+function serveFile(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400).end();
+        return;
+    }
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const file = path.resolve(STATIC_ROOT, `.${pathname}`);
+    const hidden = pathname.split('/').some(part => part.startsWith('.'));
+    if (hidden || !file.startsWith(STATIC_ROOT + path.sep)) {
+        response.writeHead(404).end('Not found');
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404).end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': data.length
+        });
+        response.end(request.method === 'HEAD' ? undefined : data);
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const port = parseInt(options.port ?? 8080, 10);
+    const host = typeof options.host === 'string' ? options.host : 'localhost';
+    if (!(port > 0 && port < 65536)) {
+        throw new Error('--port must be between 1 and 65535');
+    }
+
+    const lobby = new Lobby();
+    const connections = new Set();
+
+    const server = http.createServer((request, response) => {
+        if (options['no-static']) {
+            response.writeHead(426, { Upgrade: 'websocket' }).end('Connect with a WebSocket');
+            return;
+        }
+        serveFile(request, response);
+    });
+
+    server.on('upgrade', (request, socket, head) => {
+        if (!acceptUpgrade(request, socket)) return;
+
+        const connection = new Connection(socket, {
+            onMessage: (from, text) => lobby.handleMessage(from, text),
+            onClose: (closed) => {
+                lobby.leave(closed);
+                connections.delete(closed);
+            }
+        });
+        connections.add(connection);
+        if (head?.length) {
+            connection.handleData(head);
+        }
+    });
+
+    const pinger = setInterval(() => connections.forEach(connection => connection.ping()), PING_INTERVAL);
+    server.on('close', () => clearInterval(pinger));
+    server.on('error', (error) => {
+        console.error(`Server error: ${error.message}`);
+        clearInterval(pinger);
+        process.exitCode = 1;
+    });
+
+    server.listen(port, host, () => {
+        console.log(`Shuffleboard server on http://${host}:${port}/ (protocol version ${PROTOCOL_VERSION})`);
+    });
+
+    process.on('SIGINT', () => {
+        connections.forEach(connection => connection.close(1001, 'Server shutting down'));
+        server.close(() => process.exit(0));
+        setTimeout(() => process.exit(0), 1000).unref();
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message || error);
+    process.exitCode = 1;
+}
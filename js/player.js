@@ -1,12 +1,22 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import Disc from './disc.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+import { getChargeMechanic, DEFAULT_CHARGE_MECHANIC } from './chargeMechanics.js';
+import { PLAYER_COLORS } from './matchFormats.js';
 import { clamp, degToRad, createMaterial } from './utils.js';
 
 class Player {
-    constructor(scene, isAI = false) {
+    constructor(scene, isAI = false, index = isAI ? 1 : 0, ruleSet = null, world = scene?.userData?.world,
+                discSet = getDiscSet(DEFAULT_DISC_SET)) {
         this.scene = scene;
+        this.world = world;
         this.isAI = isAI;
+        this.isRemote = false; // Shoots from another computer in an online match
+        this.index = index;
+        this.name = `Player ${index + 1}`;
+        this.ruleSet = ruleSet;
+        this.discSet = discSet;
         this.score = 0;
         this.discs = [];
         this.currentDiscIndex = 0;
@@ -14,23 +24,68 @@ class Player {
         this.position = new THREE.Vector3(0, 0.2, -8);
         this.currentPower = 0;
         this.isCharging = false;
-        this.chargeSpeed = 0.8; // Adjust this to change how fast the power meter fills (higher = faster)
+        this.chargeTime = 0;    // Seconds spent charging the current shot
+        this.chargeSpeed = 1;   // Meter speed; scales the timing of every charge mechanic
+        this.chargeMechanic = getChargeMechanic(DEFAULT_CHARGE_MECHANIC);
+        this.chargeStage = 'power';  // 'power', then 'accuracy' and 'done' for a two-stage charge
+        this.chargeReleaseTime = 0;  // Meter time the two-stage power was locked
+        this.accuracyMarker = null;  // Position of the two-stage accuracy marker, 0 to 1
+        this.overcharge = 0;         // How far a linear charge is overcharged, 0 to 1
+        this.aimError = 0;           // Off-line error the charge puts on the shot, in radians
+        this.chargeReady = false;    // Set when a charge has run out and the shot must go
         this.maxPower = 1.5;    // Maximum power multiplier
+        this.shotStrength = 9;  // Impulse per unit of power for a disc of unit mass
+        this.surfaceHeight = 0.1; // Top of the board the discs slide on
+        this.maxAimAngle = Math.PI / 12;
+        this.spin = 0;        // Spin on the shot being charged, -1 (curls right) to 1 (curls left)
+        this.maxSpin = 20;    // Angular velocity of a full spin in radians per second
+        this.spinStep = 0.25; // Change of spin per key press
+        this.deliveryOffset = 0.4; // Distance of the delivery spot from the centre line
+        // Distance of the disc rack from the centre line, outside the
+        // bumpers; players 3 and 4 rack further out than the two sharing
+        // their side
+        this.rackOffset = 1.8 + Math.floor(index / 2) * 0.6;
+        this.deliveryDistance = 8; // Distance of the delivery spot from the middle of the board
+        this.rackDistance = 9.5;   // Distance of the first racked disc from the middle of the board
+        this.rackSpacing = 0.5;    // Spacing of racked discs, widened for larger discs
         
-        // Player color (red for player 1, blue for player 2)
-        this.color = isAI ? 0x0000ff : 0xff0000;
+        // The cue (a tang) and its stroke: held back with the disc while the
+        // shot charges, pushing the disc on release, following through and
+        // coming back to rest
+        this.cueLength = 1.6;
+        this.cueTilt = 0.12;        // Rise of the handle end, in radians
+        this.followDistance = 0.3;  // How far the cue runs on after letting go
+        this.followTime = 0.25;
+        this.returnTime = 0.5;
+        this.cueStroke = { phase: 'ready', elapsed: 0 };
+        this.heldDisc = null;       // Disc drawn in the cue's head while charging
+
+        // Direction of play: 1 shoots from the -z end towards +z, -1 from the
+        // +z end towards -z. Players change ends every frame.
+        this.direction = 1;
+
+        // Side of the board (-1 or 1) the player racks and delivers from;
+        // the two colours swap sides every round
+        this.defaultSide = index % 2 === 0 ? -1 : 1;
+        this.deliverySide = this.defaultSide;
+        this.position.x = this.deliverySide * this.deliveryOffset;
+
+        // Player color (red for player 1, blue for player 2, then green and yellow)
+        this.color = PLAYER_COLORS[index % PLAYER_COLORS.length];
         
         // Create player's discs
         this.createDiscs();
         
-        // Create player's stick
-        this.createStick();
+        // Create player's stick; headless games have nothing to draw it in
+        if (scene) {
+            this.createStick();
+        }
     }
     
     createDiscs() {
-        const discSpacing = 0.5;
-        const startX = -0.75; // Start position for first disc
-        const startZ = -7.5;  // Slightly in front of the player
+        // Unplayed discs wait beside the delivery end on the player's side,
+        // so they are never in the path of a shot
+        const startX = this.deliverySide * this.rackOffset;
         
         // Clear existing discs if any
         if (this.discs.length > 0) {
@@ -38,80 +93,416 @@ class Player {
             this.discs = [];
         }
         
-        for (let i = 0; i < 4; i++) {
-            const x = startX + i * discSpacing;
+        const discCount = this.ruleSet?.discsPerPlayer ?? 4;
+        for (let i = 0; i < discCount; i++) {
+            const z = this.getRackZ(i);
             const disc = new Disc(
                 this.scene,
-                this.scene.userData?.world, // Optional chaining for safety
-                x,
-                startZ,
+                this.world,
+                startX,
+                z,
                 this.color,
-                this.isAI ? 2 : 1 // Player numbers: 1 for human, 2 for AI
+                this.index + 1,
+                this.discSet
             );
             // Store initial positions for reset
-            disc.initialX = x;
-            disc.initialZ = startZ;
+            disc.initialX = startX;
+            disc.initialZ = z;
             this.discs.push(disc);
         }
     }
     
+    /**
+     * Builds the cue: a long shaft with a curved head that cups the back of
+     * the disc. The group's origin is the back of the head, where the cue
+     * touches the disc, and it points down its local +z.
+     */
     createStick() {
-        // Create a simple stick for the player
-        const stickGeometry = new THREE.CylinderGeometry(0.02, 0.02, 1, 8);
         const stickMaterial = new THREE.MeshStandardMaterial({ 
             color: 0x8B4513, // Brown color for the stick
             roughness: 0.8,
             metalness: 0.2
         });
         
-        this.stick = new THREE.Mesh(stickGeometry, stickMaterial);
-        this.stick.position.copy(this.position);
-        this.stick.position.y += 0.1; // Slightly above the board
-        this.stick.rotation.x = Math.PI / 2; // Lay the stick flat
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.025, this.cueLength, 8), stickMaterial);
+        shaft.rotation.x = Math.PI / 2; // Lay the shaft along z, behind the head
+        shaft.position.z = -this.cueLength / 2;
+        
+        // Half ring of unit radius around the back of the disc, scaled to the disc
+        this.stickHead = new THREE.Mesh(new THREE.TorusGeometry(1, 0.1, 6, 16, Math.PI), stickMaterial);
+        this.stickHead.rotation.x = -Math.PI / 2;
+        
+        this.stick = new THREE.Group();
+        this.stick.add(shaft, this.stickHead);
+        this.stick.rotation.order = 'YXZ'; // Turn to the heading, then tilt
+        this.stick.traverse(object => {
+            object.castShadow = true;
+        });
         this.scene.add(this.stick);
+        this.updateStick(0);
     }
     
     update(delta) {
-        // Update stick position and rotation
+        // Update power when charging. The meter runs on game time rather
+        // than the clock so the same hold always gives the same power.
+        if (this.isCharging) {
+            this.chargeTime += delta;
+            this.updateCharge();
+        }
+
+        // Keep disc meshes in sync with their physics bodies
+        this.discs.forEach(disc => disc.update(delta));
+        
         if (this.stick) {
-            this.stick.position.copy(this.position);
-            this.stick.position.y = 0.3; // Keep it slightly above the board
-            this.stick.rotation.z = this.angle - Math.PI / 2; // Point the stick in the aiming direction
-            
-            // Add a slight tilt when charging
-            if (this.isCharging) {
-                this.stick.rotation.x = Math.PI / 2 + Math.sin(Date.now() * 0.01) * 0.1;
-            } else {
-                this.stick.rotation.x = Math.PI / 2;
+            this.updateStick(delta);
+        }
+    }
+
+    /**
+     * Moves the cue through its stroke. Positions along the stroke are the
+     * distance of the disc's centre past the delivery spot.
+     * @param {number} delta - Seconds since the last update
+     */
+    updateStick(delta) {
+        const stroke = this.cueStroke;
+        stroke.elapsed += delta;
+        
+        const disc = stroke.disc ?? this.getNextDisc();
+        const radius = disc?.radius ?? this.discSet.radius;
+        const heading = stroke.phase === 'ready' ? this.getHeading() : stroke.heading;
+        const spot = stroke.phase === 'ready' ? this.position : stroke.spot;
+        const dirX = Math.sin(heading);
+        const dirZ = Math.cos(heading);
+        let along = 0;
+        
+        switch (stroke.phase) {
+            case 'push':
+                // The cue stays against the disc until it lets go
+                along = (disc.body.position.x - spot.x) * dirX + (disc.body.position.z - spot.z) * dirZ;
+                if (!disc.isBeingPushed()) {
+                    this.setStrokePhase('follow', { from: along });
+                }
+                break;
+            case 'follow': {
+                const t = Math.min(stroke.elapsed / this.followTime, 1);
+                along = stroke.from + this.followDistance * (1 - (1 - t) * (1 - t));
+                if (t >= 1) this.setStrokePhase('return', { from: along });
+                break;
+            }
+            case 'return': {
+                const t = Math.min(stroke.elapsed / this.returnTime, 1);
+                along = stroke.from * (1 - t * t * (3 - 2 * t));
+                if (t >= 1) this.setStrokePhase('ready');
+                break;
             }
+            default:
+                // Drawn back with the disc in proportion to the charge
+                if (this.isCharging && disc) {
+                    along = -disc.getPushDistance(this.getShotParameters(this.currentPower, 0, disc).impulse / disc.mass);
+                }
         }
         
-        // Update power when charging
-        if (this.isCharging) {
-            this.currentPower = (Math.sin(Date.now() * 0.005 * this.chargeSpeed) + 1) * 0.5;
+        const centreX = spot.x + dirX * along;
+        const centreZ = spot.z + dirZ * along;
+        const y = this.surfaceHeight + (disc?.height ?? this.discSet.height) / 2;
+        
+        // Show the disc in the cue's head while the shot is lined up
+        const held = stroke.phase === 'ready' && this.isCharging ? disc : null;
+        if (this.heldDisc && this.heldDisc !== held) {
+            this.heldDisc.setPreview(null);
         }
+        held?.setPreview({ x: centreX, y, z: centreZ });
+        this.heldDisc = held;
+        
+        this.stick.position.set(centreX - dirX * radius, y, centreZ - dirZ * radius);
+        this.stick.rotation.set(this.cueTilt, heading, 0);
+        this.stickHead.position.z = radius;
+        this.stickHead.scale.setScalar(radius);
     }
-    
+
+    /**
+     * @param {string} phase - 'ready', 'push', 'follow' or 'return'
+     * @param {Object} [state] - Extra state for the phase
+     */
+    setStrokePhase(phase, state = {}) {
+        this.cueStroke = {
+            ...this.cueStroke,
+            ...state,
+            phase,
+            elapsed: 0
+        };
+        if (phase === 'ready') {
+            this.cueStroke.disc = null;
+        }
+    }
+
     startCharging() {
+        this.resetCharge();
         this.isCharging = true;
-        this.currentPower = 0;
+        this.spin = 0;
     }
-    
-    shoot() {
+
+    /**
+     * Clears the power meter and everything the last charge set
+     */
+    resetCharge() {
         this.isCharging = false;
-        const power = this.currentPower * this.maxPower;
+        this.chargeTime = 0;
         this.currentPower = 0;
-        return power;
+        this.chargeStage = 'power';
+        this.chargeReleaseTime = 0;
+        this.accuracyMarker = null;
+        this.overcharge = 0;
+        this.aimError = 0;
+        this.chargeReady = false;
+    }
+
+    /**
+     * Sets how the power meter behaves while charging
+     * @param {Object} mechanic - A charge mechanic from getChargeMechanic()
+     * @param {number} [speed=1] - Meter speed, scaling the mechanic's timing
+     */
+    setChargeMechanic(mechanic, speed = 1) {
+        this.chargeMechanic = mechanic;
+        this.chargeSpeed = speed;
+    }
+
+    /**
+     * Moves the power meter on by the charge time so far
+     */
+    updateCharge() {
+        const mechanic = this.chargeMechanic;
+        const time = this.chargeTime * this.chargeSpeed;
+
+        switch (mechanic.id) {
+            case 'oscillating':
+                this.currentPower = (Math.sin(time * mechanic.rate - Math.PI / 2) + 1) * 0.5;
+                break;
+
+            case 'linear': {
+                this.currentPower = Math.min(1, time / mechanic.fillTime);
+                // Held full for too long, the shot wobbles off line, more
+                // the longer it is held
+                const over = Math.max(0, time - mechanic.fillTime - mechanic.graceTime);
+                this.overcharge = Math.min(1, over / mechanic.overchargeTime);
+                this.aimError = this.overcharge * mechanic.maxAimError * Math.sin(over * mechanic.wobbleRate);
+                break;
+            }
+
+            case 'drag':
+                // Set by dragging, see setCharge()
+                break;
+
+            case 'twoStage':
+                if (this.chargeStage === 'power') {
+                    // Rises to full, then falls back until released
+                    const phase = (time / mechanic.fillTime) % 2;
+                    this.currentPower = phase <= 1 ? phase : 2 - phase;
+                } else if (this.chargeStage === 'accuracy') {
+                    // The marker sweeps back from the locked power past the target
+                    const swept = (time - this.chargeReleaseTime) / mechanic.sweepTime;
+                    this.accuracyMarker = Math.max(0, this.currentPower - swept);
+                    if (this.accuracyMarker === 0) {
+                        this.lockAccuracy();
+                        this.chargeReady = true;
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Sets the charge directly, for drag-back charging and shots that are
+     * not charged on the meter
+     * @param {number} charge - 0 to 1
+     */
+    setCharge(charge) {
+        this.currentPower = clamp(charge, 0, 1);
+    }
+
+    /**
+     * @param {number} direction - 1 for more charge, -1 for less
+     */
+    adjustCharge(direction) {
+        this.setCharge(this.currentPower + direction * (this.chargeMechanic.keyStep ?? 0.05));
+    }
+
+    /**
+     * Lets go of the charge
+     * @returns {boolean} Whether the shot goes now; a two-stage charge locks
+     *   its power instead and waits for lockAccuracy()
+     */
+    releaseCharge() {
+        if (!this.isCharging) return false;
+
+        if (this.chargeMechanic.id === 'twoStage' && this.chargeStage === 'power') {
+            this.chargeStage = 'accuracy';
+            this.chargeReleaseTime = this.chargeTime * this.chargeSpeed;
+            this.accuracyMarker = this.currentPower;
+            return false;
+        }
+        return this.chargeStage !== 'accuracy';
+    }
+
+    /**
+     * Stops the two-stage accuracy marker; the further it is from the
+     * target, the further off line the shot goes
+     * @returns {boolean} Whether the shot goes now
+     */
+    lockAccuracy() {
+        if (!this.isCharging || this.chargeStage !== 'accuracy') return false;
+
+        const { accuracyTarget, accuracyRange, maxAimError } = this.chargeMechanic;
+        const miss = clamp((this.accuracyMarker - accuracyTarget) / accuracyRange, -1, 1);
+        this.aimError = miss * maxAimError;
+        this.chargeStage = 'done';
+        return true;
+    }
+
+    /**
+     * Sets the spin put on the next shot. Positive spin turns the disc
+     * anticlockwise seen from above and curls it to the player's left.
+     * @param {number} spin - -1 to 1
+     */
+    setSpin(spin) {
+        this.spin = clamp(spin, -1, 1);
+    }
+
+    /**
+     * @param {number} direction - 1 for more spin to the left, -1 to the right
+     */
+    adjustSpin(direction) {
+        this.setSpin(this.spin + direction * this.spinStep);
+    }
+
+    /**
+     * Everything that decides where the next shot goes, as GameCore.shoot()
+     * takes it, so the same shot can be played again elsewhere
+     * @returns {{angle: number, power: number, spin: number, x: number, aimError: number}}
+     */
+    getShotInput() {
+        return {
+            angle: this.angle,
+            power: this.currentPower,
+            spin: this.spin,
+            x: this.position.x,
+            aimError: this.aimError
+        };
+    }
+
+    /**
+     * Releases the charge and slides the next disc from the delivery spot
+     * along the current aim angle with the current spin
+     * @returns {Disc|null} The disc that was shot, or null if none are left
+     */
+    shoot() {
+        const disc = this.getNextDisc();
+        const shot = this.getShotParameters(this.currentPower, this.spin, disc);
+        // However the charge pulled the shot off line
+        shot.heading += this.aimError;
+        const aimError = this.aimError;
+        this.resetCharge();
+        this.spin = 0;
+
+        if (!disc) return null;
+
+        this.heldDisc = null;
+        disc.launch(shot.x, shot.surfaceY, shot.z, shot.heading, shot.impulse, shot.spin);
+        this.setStrokePhase('push', {
+            disc,
+            heading: shot.heading,
+            spot: { x: shot.x, z: shot.z }
+        });
+        this.currentDiscIndex++;
+        this.lastShotPower = shot.power;
+        this.lastShotSpin = shot.spin;
+        this.lastShotAimError = aimError;
+
+        return disc;
+    }
+
+    /**
+     * Where and how a shot from the current delivery spot and aim would
+     * launch its disc, as passed to Disc.launch()
+     * @param {number} charge - Charge in [0, 1], as shown on the power meter
+     * @param {number} [spin=0] - Spin in [-1, 1], positive curling to the left
+     * @param {Disc} [disc] - The disc to shoot; its mass sets the impulse
+     * @param {number} [angle] - Aim angle to use instead of the current aim
+     * @returns {{x: number, surfaceY: number, z: number, heading: number,
+     *   power: number, impulse: number, spin: number}}
+     */
+    getShotParameters(charge, spin = 0, disc = this.getNextDisc(), angle = this.angle) {
+        const power = charge * this.maxPower;
+        return {
+            x: this.position.x,
+            surfaceY: this.surfaceHeight,
+            z: this.position.z,
+            heading: this.getHeading(angle),
+            power,
+            // Heavier discs get a harder push, so power means the same
+            // distance with every disc set
+            impulse: power * this.shotStrength * (disc?.mass ?? this.discSet.mass),
+            spin: spin * this.maxSpin
+        };
     }
     
+    /**
+     * Steps sideways along the delivery end
+     * @param {number} direction - 1 to the player's left, -1 to their right
+     * @param {number} delta - Seconds since the last update
+     */
     move(direction, delta) {
         const speed = 5 * delta;
-        this.position.x = clamp(this.position.x + direction * speed, -1.5, 1.5);
+        this.setDeliverySpot(this.position.x + direction * this.direction * speed);
+    }
+
+    /**
+     * @param {number} x - Where across the delivery end to shoot from
+     */
+    setDeliverySpot(x) {
+        this.position.x = clamp(x, -1.5, 1.5);
     }
     
     rotate(direction, delta) {
         const rotationSpeed = 2 * delta;
-        this.angle = (this.angle + direction * rotationSpeed) % (Math.PI * 2);
+        this.setAim(this.angle + direction * rotationSpeed);
+    }
+
+    setAim(angle) {
+        this.angle = clamp(angle, -this.maxAimAngle, this.maxAimAngle);
+    }
+
+    /**
+     * The aim as a world heading. The aim angle is measured from straight
+     * down the board, so the same angle works from either end.
+     * @param {number} [angle] - Aim angle to use instead of the current aim
+     * @returns {number} Radians, 0 being towards +z
+     */
+    getHeading(angle = this.angle) {
+        return this.direction < 0 ? angle + Math.PI : angle;
+    }
+
+    /**
+     * Moves the player to one end of the board. Racked discs follow on the
+     * next resetDiscs().
+     * @param {number} direction - 1 to shoot towards +z, -1 towards -z
+     */
+    setDirection(direction) {
+        this.direction = direction < 0 ? -1 : 1;
+        this.position.z = -this.direction * this.deliveryDistance;
+        this.discs.forEach((disc, i) => {
+            disc.initialZ = this.getRackZ(i);
+        });
+    }
+
+    /**
+     * Rack position of a disc along the board at the current delivery end
+     * @param {number} i - Index of the disc
+     * @returns {number}
+     */
+    getRackZ(i) {
+        const spacing = Math.max(this.rackSpacing, this.discSet.radius * 2 + 0.1);
+        return -this.direction * (this.rackDistance - i * spacing);
     }
     
     getNextDisc() {
@@ -124,37 +515,114 @@ class Player {
     hasDiscsLeft() {
         return this.currentDiscIndex < this.discs.length;
     }
+
+    getRemainingDiscs() {
+        return Math.max(0, this.discs.length - this.currentDiscIndex);
+    }
+    
+    /**
+     * Plays under another rule set; the discs are re-racked on the next reset()
+     * @param {Object} ruleSet - The active rule set
+     */
+    setRuleSet(ruleSet) {
+        this.ruleSet = ruleSet;
+    }
+
+    /**
+     * Plays with another set of discs from the next reset()
+     * @param {Object} discSet - Disc set from discSets.js
+     */
+    setDiscSet(discSet) {
+        this.discSet = discSet;
+    }
     
     updateScore(points) {
         this.score += points;
     }
+
+    /**
+     * Changes the colour of the player's discs
+     * @param {number} color - Colour as a number, e.g. 0xff0000
+     */
+    setColor(color) {
+        this.color = color;
+        this.discs.forEach(disc => disc.mesh?.material.color.setHex(color));
+    }
     
-    resetDiscs() {
+    /**
+     * Moves the player to the other side of the board. Racked discs follow
+     * on the next resetDiscs().
+     */
+    swapDeliverySide() {
+        this.setDeliverySide(-this.deliverySide);
+    }
+
+    /**
+     * @param {number} side - -1 or 1
+     */
+    setDeliverySide(side) {
+        this.deliverySide = side;
+        this.position.x = side * this.deliveryOffset;
         this.discs.forEach(disc => {
-            if (disc && typeof disc.reset === 'function') {
-                disc.reset();
-            }
+            disc.initialX = side * this.rackOffset;
         });
+    }
+
+    /**
+     * Returns every disc to the rack
+     * @param {number} [duration=0] - Seconds to animate played discs back
+     *   over; 0 puts them back at once
+     * @returns {Promise<void>} Resolves when every disc is back
+     */
+    resetDiscs(duration = 0) {
         this.currentDiscIndex = 0;
+        
+        const trips = this.discs.map((disc, i) => {
+            if (duration > 0 && disc.hasBeenShot) {
+                // Stagger the discs so they don't travel as one block
+                return disc.collect(duration + i * 0.1);
+            }
+            disc.reset();
+            return Promise.resolve();
+        });
+        
+        return Promise.all(trips).then(() => {});
     }
     
     reset() {
+        this.score = 0;
         this.currentDiscIndex = 0;
         this.discs.forEach(disc => disc.remove());
         this.discs = [];
+        this.deliverySide = this.defaultSide;
+        this.direction = 1;
         this.createDiscs();
         
-        // Reset stick position
-        if (this.stick) {
-            this.stick.position.set(0, 0.3, -8);
-            this.stick.rotation.set(Math.PI/2, 0, -Math.PI/2);
-        }
+        // Bring the cue back to rest
+        this.heldDisc = null;
+        this.setStrokePhase('ready');
         
         // Reset player state
         this.angle = 0;
-        this.currentPower = 0;
-        this.isCharging = false;
-        this.position.set(0, 0.2, -8);
+        this.resetCharge();
+        this.spin = 0;
+        this.position.set(this.deliverySide * this.deliveryOffset, 0.2, -this.deliveryDistance);
+    }
+
+    /**
+     * Takes the player's discs and stick out of the game for good
+     */
+    remove() {
+        this.discs.forEach(disc => disc.remove());
+        this.discs = [];
+        if (this.stick) {
+            this.scene.remove(this.stick);
+            this.stick.traverse(object => {
+                object.geometry?.dispose();
+                object.material?.dispose();
+            });
+            this.stick = null;
+        }
     }
 }
 
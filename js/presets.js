@@ -0,0 +1,24 @@
+// Lookup shared by the modules of presets the player picks from in the
+// menus, such as rule sets and disc sets. Each keeps its presets in a table
+// of plain data by id, with one of them the default.
+
+/**
+ * Looks up a preset by id, falling back to the default with a warning
+ * when there is no such preset, e.g. in settings saved by an older version
+ * @param {Object} table - Presets by id
+ * @param {string} id - Id of the preset
+ * @param {string} kind - What the presets are, for the warning
+ * @param {string} defaultId - Id of the preset to fall back to
+ * @returns {Object} A deep copy of the preset, safe to modify
+ */
+function lookupPreset(table, id, kind, defaultId) {
+    let preset = table[id];
+    if (!preset) {
+        console.warn(`Unknown ${kind}: ${id}, using ${defaultId}`);
+        preset = table[defaultId];
+    }
+
+    return structuredClone(preset);
+}
+
+export { lookupPreset };
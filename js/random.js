@@ -0,0 +1,86 @@
+// Seedable pseudo-random numbers for gameplay. Everything that can change
+// the outcome of a game draws from here instead of Math.random(), so a game
+// played again from the same seed with the same inputs plays out the same.
+
+class Random {
+    /**
+     * @param {number} [seed] - 32-bit seed; defaults to one taken from the clock
+     */
+    constructor(seed = Random.createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * A seed for games that don't ask for a particular one
+     * @returns {number}
+     */
+    static createSeed() {
+        return (Date.now() ^ (performance.now() * 1000)) >>> 0;
+    }
+
+    /**
+     * Restarts the sequence from a seed
+     * @param {number} seed - Any number; only the low 32 bits are used
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in the sequence (mulberry32)
+     * @returns {number} A number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} A number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} An integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Normally distributed number (Box-Muller), for errors that are usually
+     * small and now and then large
+     * @param {number} [mean=0]
+     * @param {number} [deviation=1] - Standard deviation
+     * @returns {number}
+     */
+    normal(mean = 0, deviation = 1) {
+        const u = 1 - this.next(); // (0, 1], so the log is finite
+        const v = this.next();
+        return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * @param {Array} items
+     * @returns {*} A random element, or undefined for an empty array
+     */
+    pick(items) {
+        return items.length > 0 ? items[Math.floor(this.next() * items.length)] : undefined;
+    }
+}
+
+// Shared generator for gameplay. The game seeds it at the start of each game.
+const random = new Random();
+
+export { random };
+export default Random;
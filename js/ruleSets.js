@@ -0,0 +1,135 @@
+// Rule sets describe everything that differs between the shuffleboard
+// variants: the scoring layout, how many discs each player has, the score
+// that wins and how a frame is counted. The board, players and game read the
+// active rule set rather than hard-coding court values.
+
+import { lookupPreset } from './presets.js';
+
+// Scoring layouts and the zones a rule set gives points to
+const LAYOUTS = {
+    court: {
+        name: 'Court',
+        zones: [
+            { id: '10', label: '10' },
+            { id: '8', label: '8' },
+            { id: '7', label: '7' },
+            { id: '10off', label: '10 OFF' }
+        ]
+    },
+    table: {
+        name: 'Table',
+        zones: [
+            { id: '1', label: '1' },
+            { id: '2', label: '2' },
+            { id: '3', label: '3' }
+        ]
+    }
+};
+
+// lineRule: 'void' - a disc touching a line scores nothing
+//           'lower' - a disc touching a line scores the lower zone
+// scoring:  'all' - every disc in a zone scores for its owner
+//           'leader' - only the player with the furthest disc scores, and
+//           only with discs beyond the best opposing disc
+// hangerPoints: points for a disc overhanging the far edge, 0 for none
+const RULE_SETS = {
+    court: {
+        id: 'court',
+        name: 'Court Shuffleboard',
+        layout: 'court',
+        discsPerPlayer: 4,
+        winningScore: 75,
+        winningScoreOptions: [75],
+        points: { '10': 10, '8': 8, '7': 7, '10off': -10 },
+        lineRule: 'void',
+        scoring: 'all',
+        hangerPoints: 0
+    },
+    table: {
+        id: 'table',
+        name: 'Table Shuffleboard',
+        layout: 'table',
+        discsPerPlayer: 4,
+        winningScore: 21,
+        winningScoreOptions: [15, 21],
+        points: { '1': 1, '2': 2, '3': 3 },
+        lineRule: 'lower',
+        scoring: 'leader',
+        hangerPoints: 4
+    },
+    custom: {
+        id: 'custom',
+        name: 'Custom Rules',
+        layout: 'court',
+        discsPerPlayer: 4,
+        winningScore: 75,
+        winningScoreOptions: [],
+        points: { '10': 10, '8': 8, '7': 7, '10off': -10 },
+        lineRule: 'void',
+        scoring: 'all',
+        hangerPoints: 0
+    }
+};
+
+const DEFAULT_RULE_SET = 'court';
+
+const LINE_RULES = ['void', 'lower'];
+const SCORING_METHODS = ['all', 'leader'];
+
+function toInteger(value, fallback, min, max) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) return fallback;
+    return Math.max(min, Math.min(max, number));
+}
+
+/**
+ * Builds a valid custom rule set from user-edited values, falling back to
+ * the defaults of the chosen layout for anything missing or invalid
+ * @param {Object} [rules] - Values from the rule editor or saved settings
+ * @returns {Object} A complete rule set
+ */
+function createCustomRuleSet(rules) {
+    rules = rules || {};
+    const base = RULE_SETS.custom;
+    const layout = LAYOUTS[rules.layout] ? rules.layout : base.layout;
+    const layoutDefaults = Object.values(RULE_SETS).find(set => set.layout === layout && set.id !== 'custom');
+
+    const points = {};
+    LAYOUTS[layout].zones.forEach(zone => {
+        points[zone.id] = toInteger(rules.points?.[zone.id], layoutDefaults.points[zone.id], -100, 100);
+    });
+
+    return {
+        ...base,
+        layout,
+        discsPerPlayer: toInteger(rules.discsPerPlayer, base.discsPerPlayer, 1, 8),
+        winningScore: toInteger(rules.winningScore, layoutDefaults.winningScore, 1, 500),
+        points,
+        lineRule: LINE_RULES.includes(rules.lineRule) ? rules.lineRule : layoutDefaults.lineRule,
+        scoring: SCORING_METHODS.includes(rules.scoring) ? rules.scoring : layoutDefaults.scoring,
+        hangerPoints: toInteger(rules.hangerPoints, layoutDefaults.hangerPoints, 0, 100)
+    };
+}
+
+/**
+ * Looks up a rule set by id
+ * @param {string} id - 'court', 'table' or 'custom'
+ * @param {Object} [options]
+ * @param {number} [options.winningScore] - One of the rule set's winning score options
+ * @param {Object} [options.customRules] - Saved values for the custom rule set
+ * @returns {Object} A copy of the rule set, safe to modify
+ */
+function getRuleSet(id, { winningScore, customRules } = {}) {
+    if (id === 'custom') {
+        return createCustomRuleSet(customRules);
+    }
+
+    const ruleSet = lookupPreset(RULE_SETS, id, 'rule set', DEFAULT_RULE_SET);
+    if (ruleSet.winningScoreOptions.includes(winningScore)) {
+        ruleSet.winningScore = winningScore;
+    }
+    return ruleSet;
+}
+
+export { LAYOUTS, RULE_SETS, DEFAULT_RULE_SET, LINE_RULES, SCORING_METHODS, createCustomRuleSet, getRuleSet };
@@ -0,0 +1,273 @@
+// Scoring geometry for the court and table layouts. Everything here works on plain {x, z}
+// points in board coordinates so it can be used without a renderer.
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {number} x
+ * @param {number} z
+ * @param {{x: number, z: number}[]} polygon - Vertices in order
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.z > z) !== (b.z > z) &&
+            x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Shortest distance from a point to a line segment
+ * @returns {number}
+ */
+export function distanceToSegment(x, z, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    let t = lengthSq > 0 ? ((x - a.x) * dx + (z - a.z) * dz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(x - (a.x + t * dx), z - (a.z + t * dz));
+}
+
+/**
+ * Value a disc scores when it touches a line between zones worth `values`.
+ * Under the 'void' rule (court) a disc on a line scores nothing; under the
+ * 'lower' rule (table) it scores the lower of the neighbouring zones.
+ * @param {string} lineRule - 'void' or 'lower'
+ * @param {number[]} values - Points of the zones either side; 0 for outside
+ * @returns {number}
+ */
+function lineTouchValue(lineRule, values) {
+    return lineRule === 'lower' ? Math.min(...values) : 0;
+}
+
+function polygonCenter(polygon) {
+    return {
+        x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+        z: polygon.reduce((sum, p) => sum + p.z, 0) / polygon.length
+    };
+}
+
+/**
+ * Builds the court shuffleboard scoring triangle. The apex (the 10) points
+ * towards the shooter and the 10 OFF area (the "kitchen") sits along the
+ * base, so an overshot disc is penalised.
+ * @param {Object} options
+ * @param {number} options.apexZ - Position of the apex along the board
+ * @param {number} options.baseZ - Position of the base line along the board
+ * @param {number} options.baseWidth - Width of the triangle at its base
+ * @param {Object} [options.points] - Points for the '10', '8', '7' and '10off' zones
+ * @param {string} [options.lineRule='void'] - How discs on a line score
+ * @param {number} [options.lineWidth=0.03] - Width of the painted lines
+ * @returns {{zones: Object[], lines: Object[], outline: Object[], lineWidth: number}}
+ */
+export function createCourtDiagram({
+    apexZ,
+    baseZ,
+    baseWidth,
+    points = { '10': 10, '8': 8, '7': 7, '10off': -10 },
+    lineRule = 'void',
+    lineWidth = 0.03
+}) {
+    // Cross lines as fractions of the distance from the apex to the base
+    const crossLines = [0.4, 0.64, 0.86];
+    const halfWidthAt = (t) => baseWidth / 2 * t;
+    const zAt = (t) => apexZ + (baseZ - apexZ) * t;
+    const point = (x, t) => ({ x, z: zAt(t) });
+    const line = (from, to, values) => ({ from, to, touchValue: lineTouchValue(lineRule, values) });
+
+    const [t10, t8, t7] = crossLines;
+    const bands = [
+        { id: '10', from: 0, to: t10, split: false },
+        { id: '8', from: t10, to: t8, split: true },
+        { id: '7', from: t8, to: t7, split: true },
+        { id: '10off', from: t7, to: 1, split: false }
+    ];
+
+    const zones = [];
+    const lines = [];
+
+    bands.forEach((band, i) => {
+        const value = points[band.id];
+        const next = bands[i + 1];
+
+        if (band.split) {
+            // Split down the middle into left and right halves
+            [-1, 1].forEach(side => {
+                zones.push({
+                    id: `${band.id}${side < 0 ? 'L' : 'R'}`,
+                    band: band.id,
+                    points: value,
+                    polygon: [
+                        point(0, band.from),
+                        point(side * halfWidthAt(band.from), band.from),
+                        point(side * halfWidthAt(band.to), band.to),
+                        point(0, band.to)
+                    ]
+                });
+            });
+            lines.push(line(point(0, band.from), point(0, band.to), [value, value]));
+        } else {
+            zones.push({
+                id: band.id,
+                band: band.id,
+                points: value,
+                polygon: [
+                    point(-halfWidthAt(band.from), band.from),
+                    point(halfWidthAt(band.from), band.from),
+                    point(halfWidthAt(band.to), band.to),
+                    point(-halfWidthAt(band.to), band.to)
+                ]
+            });
+        }
+
+        // Sides of the triangle alongside this band
+        [-1, 1].forEach(side => {
+            lines.push(line(
+                point(side * halfWidthAt(band.from), band.from),
+                point(side * halfWidthAt(band.to), band.to),
+                [value, 0]
+            ));
+        });
+
+        // Line closing off the band: the next cross line, or the base
+        lines.push(line(
+            point(-halfWidthAt(band.to), band.to),
+            point(halfWidthAt(band.to), band.to),
+            next ? [value, points[next.id]] : [value, 0]
+        ));
+    });
+
+    zones.forEach(zone => {
+        zone.label = zone.points < 0 ? `${-zone.points} OFF` : String(zone.points);
+        zone.center = polygonCenter(zone.polygon);
+    });
+
+    const outline = [point(0, 0), point(halfWidthAt(1), 1), point(-halfWidthAt(1), 1)];
+
+    return { zones, lines, outline, lineWidth };
+}
+
+/**
+ * Builds the table shuffleboard scoring area: bands worth 1, 2 and 3 points
+ * across the full width of the board, the 3 being nearest the end edge.
+ * @param {Object} options
+ * @param {number} options.endZ - Position of the end edge of the board
+ * @param {number} options.width - Width of the board
+ * @param {number[]} [options.depths] - Depths of the 3, 2 and 1 bands
+ * @param {Object} [options.points] - Points for the '1', '2' and '3' zones
+ * @param {string} [options.lineRule='lower'] - How discs on a line score
+ * @param {number} [options.lineWidth=0.03] - Width of the painted lines
+ * @returns {{zones: Object[], lines: Object[], outline: Object[], lineWidth: number}}
+ */
+export function createTableDiagram({
+    endZ,
+    width,
+    depths = [1, 1.5, 2.5],
+    points = { '1': 1, '2': 2, '3': 3 },
+    lineRule = 'lower',
+    lineWidth = 0.03
+}) {
+    const half = width / 2;
+    const zones = [];
+    const lines = [];
+
+    let far = endZ;
+    ['3', '2', '1'].forEach((id, i) => {
+        const near = far - depths[i];
+        const polygon = [
+            { x: -half, z: near },
+            { x: half, z: near },
+            { x: half, z: far },
+            { x: -half, z: far }
+        ];
+        zones.push({
+            id,
+            band: id,
+            points: points[id],
+            label: String(points[id]),
+            polygon,
+            center: polygonCenter(polygon)
+        });
+
+        // Line on the near side of the band; the 1 line borders the unscored board
+        const nearer = ['2', '1'][i];
+        lines.push({
+            from: { x: -half, z: near },
+            to: { x: half, z: near },
+            touchValue: lineTouchValue(lineRule, [points[id], nearer ? points[nearer] : 0])
+        });
+
+        far = near;
+    });
+
+    const outline = [
+        { x: -half, z: far },
+        { x: half, z: far },
+        { x: half, z: endZ },
+        { x: -half, z: endZ }
+    ];
+
+    return { zones, lines, outline, lineWidth };
+}
+
+/**
+ * Turns a diagram half a turn about the centre of the board, giving the
+ * scoring area for play in the opposite direction. Left and right swap too,
+ * so zone ids stay the same from the shooter's point of view.
+ * @param {Object} diagram - A diagram from createCourtDiagram() or createTableDiagram()
+ * @returns {Object} A new diagram
+ */
+export function rotateDiagram(diagram) {
+    const turn = (p) => ({ x: -p.x, z: -p.z });
+
+    return {
+        ...diagram,
+        zones: diagram.zones.map(zone => ({
+            ...zone,
+            polygon: zone.polygon.map(turn),
+            center: turn(zone.center)
+        })),
+        lines: diagram.lines.map(line => ({
+            ...line,
+            from: turn(line.from),
+            to: turn(line.to)
+        })),
+        outline: diagram.outline.map(turn)
+    };
+}
+
+/**
+ * Scores a disc resting at a position. A disc lying wholly inside a zone
+ * scores that zone; a disc touching lines scores what the lines' rule gives.
+ * @param {Object} diagram - A diagram from createCourtDiagram() or createTableDiagram()
+ * @param {number} x - Disc centre across the board
+ * @param {number} z - Disc centre along the board
+ * @param {number} radius - Disc radius
+ * @returns {{value: number, type: string, zone: string|null}|null} The score,
+ *   or null when the disc is entirely outside the diagram
+ */
+export function scorePosition(diagram, x, z, radius) {
+    const clearance = radius + diagram.lineWidth / 2;
+    const touched = diagram.lines.filter(line =>
+        distanceToSegment(x, z, line.from, line.to) < clearance
+    );
+
+    if (touched.length > 0) {
+        const value = Math.min(...touched.map(line => line.touchValue));
+        return { value, type: 'line', zone: null };
+    }
+
+    const zone = diagram.zones.find(candidate => pointInPolygon(x, z, candidate.polygon));
+    if (!zone) {
+        return null;
+    }
+
+    return { value: zone.points, type: 'zone', zone: zone.id };
+}
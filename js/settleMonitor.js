@@ -0,0 +1,100 @@
+/**
+ * Watches the discs in play after a shot and reports when the board has come
+ * to rest. A disc counts as stopped once Disc.isMoving() is false or cannon
+ * has put its body to sleep. The board is at rest once everything has been
+ * still for quietTime, or at once when every disc is asleep, as cannon only
+ * lets a disc sleep after it has been still for a while. A timeout guards
+ * against discs that creep along forever.
+ */
+class SettleMonitor {
+    constructor({ quietTime = 0.3, timeout = 15 } = {}) {
+        this.quietTime = quietTime; // Seconds everything must stay still
+        this.timeout = timeout;     // Seconds before we give up waiting
+        this.discs = [];
+        this.shotDisc = null;
+        this.sleeping = new Set();
+        this.elapsed = 0;
+        this.quiet = 0;
+        this.isActive = false;
+
+        this.onSleep = (event) => this.sleeping.add(event.target);
+        this.onWakeUp = (event) => this.sleeping.delete(event.target);
+    }
+
+    /**
+     * Starts watching a set of discs
+     * @param {Disc[]} discs - Every disc currently on the board
+     * @param {Disc} shotDisc - The disc that was just shot
+     */
+    start(discs, shotDisc) {
+        this.stop();
+
+        this.discs = discs.filter(disc => disc.body);
+        this.shotDisc = shotDisc;
+        this.elapsed = 0;
+        this.quiet = 0;
+        this.isActive = true;
+
+        this.discs.forEach(disc => {
+            disc.body.addEventListener('sleep', this.onSleep);
+            disc.body.addEventListener('wakeup', this.onWakeUp);
+        });
+    }
+
+    /**
+     * Stops watching and detaches the sleep listeners
+     */
+    stop() {
+        this.discs.forEach(disc => {
+            if (disc.body) {
+                disc.body.removeEventListener('sleep', this.onSleep);
+                disc.body.removeEventListener('wakeup', this.onWakeUp);
+            }
+        });
+
+        this.discs = [];
+        this.shotDisc = null;
+        this.sleeping.clear();
+        this.isActive = false;
+    }
+
+    isDiscMoving(disc) {
+        if (!disc?.body || this.sleeping.has(disc.body)) return false;
+        return disc.isMoving();
+    }
+
+    /**
+     * Advances the monitor
+     * @param {number} delta - Seconds since the last update
+     * @returns {string} 'sliding' while the shot disc moves, 'settling' while
+     *   other discs move or the board has not been still for long enough,
+     *   'settled' once everything is at rest, or 'timeout'
+     */
+    update(delta) {
+        if (!this.isActive) return 'settled';
+
+        this.elapsed += delta;
+        if (this.elapsed >= this.timeout) {
+            return 'timeout';
+        }
+
+        if (this.isDiscMoving(this.shotDisc)) {
+            this.quiet = 0;
+            return 'sliding';
+        }
+
+        if (this.discs.some(disc => this.isDiscMoving(disc))) {
+            this.quiet = 0;
+            return 'settling';
+        }
+
+        if (this.discs.every(disc => this.sleeping.has(disc.body))) {
+            return 'settled';
+        }
+
+        this.quiet += delta;
+        return this.quiet >= this.quietTime ? 'settled' : 'settling';
+    }
+}
+
+export default SettleMonitor;
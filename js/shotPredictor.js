@@ -0,0 +1,216 @@
+import Board from './board.js';
+import Disc, { discMaterial } from './disc.js';
+import { createPhysicsWorld, resetPhysicsClock } from './gameCore.js';
+
+/**
+ * Predicts where a shot will go by playing it out in a separate physics
+ * world. sync() copies the discs in play into that world; predict() then
+ * puts them back where they were and runs a shot as far as asked, so any
+ * number of shots can be tried from the same position. The prediction world
+ * has the same board, bumpers, surface and disc set as the game, so banked
+ * shots and collisions come out as they will in play.
+ */
+class ShotPredictor {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeStep=1/60] - Physics step, the same as the game's
+     * @param {number} [options.maxSteps=900] - Most steps a prediction runs for
+     * @param {number} [options.pathSpacing=0.1] - Distance between recorded path points
+     */
+    constructor({ timeStep = 1 / 60, maxSteps = 900, pathSpacing = 0.1 } = {}) {
+        this.timeStep = timeStep;
+        this.maxSteps = maxSteps;
+        this.pathSpacing = pathSpacing;
+        this.quietTime = 0.1; // Seconds everything must be still to count as at rest
+
+        const { world } = createPhysicsWorld();
+        this.world = world;
+        this.board = new Board(null, world);
+        this.discSet = null;
+        this.mirrors = []; // {source, disc, snapshot} for every disc in play
+        this.shotDisc = null;
+
+        this.hits = [];
+        this.world.addEventListener('discCollision', (event) => this.hits.push(event));
+    }
+
+    /**
+     * Copies the surface, disc set and every disc in play from a game
+     * @param {GameCore} core - The game to mirror
+     * @param {Object} [options]
+     * @param {boolean} [options.discs=true] - Copy the discs in play; without
+     *   them shots are predicted on an empty board
+     */
+    sync(core, { discs = true } = {}) {
+        this.board.setSurface(core.board.surface);
+        this.clear();
+
+        this.discSet = core.discSet;
+        const contact = this.world.getContactMaterial(discMaterial, discMaterial);
+        if (contact) {
+            contact.restitution = this.discSet.restitution;
+        }
+
+        core.players.forEach(player => {
+            if (!discs) return;
+            player.discs.forEach(source => {
+                const body = source.body;
+                if (!source.hasBeenShot || source.dead || !body || !core.world.bodies.includes(body)) return;
+
+                const disc = new Disc(null, this.world, body.position.x, body.position.z, null,
+                                      source.playerNum, this.discSet);
+                disc.hasBeenShot = true;
+                this.mirrors.push({
+                    source,
+                    disc,
+                    snapshot: {
+                        x: body.position.x,
+                        y: body.position.y,
+                        z: body.position.z,
+                        sleeping: source.isAsleep()
+                    }
+                });
+            });
+        });
+
+        // The disc being shot waits outside the world until a prediction
+        this.shotDisc = new Disc(null, this.world, 0, 0, null, core.currentPlayer?.index + 1, this.discSet);
+        this.world.removeBody(this.shotDisc.body);
+    }
+
+    /**
+     * Takes every mirrored disc out of the prediction world
+     */
+    clear() {
+        this.mirrors.forEach(({ disc }) => disc.remove());
+        this.mirrors = [];
+        if (this.shotDisc) {
+            this.shotDisc.remove();
+            this.shotDisc = null;
+        }
+    }
+
+    /**
+     * Puts every mirrored disc back where it was when the game was synced
+     */
+    restore() {
+        // Every prediction runs on the same clock, however many came before
+        resetPhysicsClock(this.world);
+
+        this.mirrors.forEach(({ disc, snapshot }) => {
+            const body = disc.body;
+            body.position.set(snapshot.x, snapshot.y, snapshot.z);
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+            body.quaternion.set(0, 0, 0, 1);
+            body.collisionFilterMask = -1;
+            disc.dead = false;
+            disc.lastCollision = null;
+            if (snapshot.sleeping) {
+                body.sleep();
+            } else {
+                body.wakeUp();
+            }
+        });
+
+        // Forget the contacts of the last prediction, so first touches are
+        // reported again
+        this.world.collisionMatrix.reset();
+        this.world.collisionMatrixPrevious.reset();
+        this.hits = [];
+    }
+
+    /**
+     * Plays a shot out from the synced position
+     * @param {Object} shot - Launch parameters, as from Player.getShotParameters()
+     * @param {Object} [options]
+     * @param {number} [options.maxDistance=Infinity] - Stop once the shot disc
+     *   has travelled this far
+     * @returns {{path: {x: number, z: number}[], distance: number, settled: boolean,
+     *   rest: {x: number, z: number}|null, dead: boolean, hits: Object[], discs: Object[]}}
+     *   The path of the shot disc, where it stopped if the shot ran to the
+     *   end, the disc collisions on the way and where every other disc ended up
+     */
+    predict({ x, surfaceY, z, heading, impulse, spin = 0 }, { maxDistance = Infinity } = {}) {
+        if (!this.shotDisc) {
+            console.warn('Shot predictor has not been synced with a game');
+            return null;
+        }
+
+        this.restore();
+
+        const shotDisc = this.shotDisc;
+        shotDisc.lastCollision = null;
+        shotDisc.dead = false;
+        shotDisc.body.collisionFilterMask = -1;
+        this.world.addBody(shotDisc.body);
+        shotDisc.launch(x, surfaceY, z, heading, impulse, spin);
+
+        const discs = [...this.mirrors.map(({ disc }) => disc), shotDisc];
+        const position = shotDisc.body.position;
+        const path = [{ x: position.x, z: position.z }];
+        let last = { x: position.x, z: position.z };
+        let distance = 0;
+        let quiet = 0;
+        let settled = false;
+
+        for (let step = 0; step < this.maxSteps; step++) {
+            this.world.step(this.timeStep);
+
+            discs.forEach(disc => {
+                if (!disc.dead && this.board.hasFallenOff(disc.body)) disc.dead = true;
+            });
+
+            distance += Math.hypot(position.x - last.x, position.z - last.z);
+            last = { x: position.x, z: position.z };
+            const previous = path[path.length - 1];
+            if (Math.hypot(position.x - previous.x, position.z - previous.z) >= this.pathSpacing) {
+                path.push({ x: position.x, z: position.z });
+            }
+
+            if (distance >= maxDistance) break;
+
+            // Sleeping discs only move again when something hits them, so
+            // once they all sleep there is nothing left to wait for
+            quiet = discs.some(disc => disc.isMoving()) ? 0 : quiet + this.timeStep;
+            if (quiet >= this.quietTime || discs.every(disc => disc.isAsleep())) {
+                settled = true;
+                break;
+            }
+        }
+        path.push({ x: position.x, z: position.z });
+
+        const result = {
+            path,
+            distance,
+            settled,
+            rest: settled ? { x: position.x, z: position.z } : null,
+            dead: shotDisc.dead,
+            hits: this.hits.map(({ discA, discB, speed, position: at }) => ({
+                discs: [discA, discB].map(disc => this.getSource(disc)),
+                speed,
+                position: { ...at }
+            })),
+            discs: this.mirrors.map(({ source, disc }) => ({
+                source,
+                x: disc.body.position.x,
+                z: disc.body.position.z,
+                dead: disc.dead
+            }))
+        };
+
+        this.world.removeBody(shotDisc.body);
+        return result;
+    }
+
+    /**
+     * The game disc a prediction disc stands in for
+     * @param {Disc} disc - A disc of the prediction world
+     * @returns {Disc|null} The game's disc, or null for the disc being shot
+     */
+    getSource(disc) {
+        return this.mirrors.find(mirror => mirror.disc === disc)?.source ?? null;
+    }
+}
+
+export default ShotPredictor;
@@ -0,0 +1,99 @@
+// Plays a batch of computer-against-computer games from the command line
+// and prints win rates, average scores and shot distributions, for
+// balancing difficulty levels, personalities and rule sets. The game's
+// modules import three and cannon-es by name, so they must be installed
+// where Node can find them. Run from the project root:
+//
+//   node --experimental-default-type=module js/simulate.js --games 1000 \
+//       --p1 hard:knocker --p2 medium:placer --rules table --to 15
+//
+// Every shot the AI tries is played out in full, so games take a while:
+// on one core, medium players at the default --budget take about 2s a
+// frame. A table game to 21 lasts some 10 frames, about 20s; a court game
+// to 75 runs to 30-40 frames, about 75s. Harder levels try more shots and
+// take longer in proportion. Games are shared out between worker threads,
+// one per core, so on eight cores 1000 table games take some 45 minutes
+// and 1000 court games under three hours.
+//
+// --games N          Games to play (100)
+// --seed N           Seed of the first game; game i uses seed + i (1)
+// --rules ID         Rule set: court, table (court)
+// --to N             Winning score, one of the rule set's options
+// --surface ID       Surface: waxed, dry, wet, sand (waxed)
+// --discs ID         Disc set, see discSets.js (standard)
+// --start ID         Who opens each frame: loser, alternate, fixed
+// --p1, --p2 D:P     Difficulty and personality of each entrant (medium:balanced)
+// --max-frames N     Frames after which a game counts as unfinished (40)
+// --budget F         Share of each difficulty's shot budget the AI tries (0.5);
+//                    1 tries as many shots as in the game, at half the speed
+// --no-swap          Keep the entrants in the same seats every game
+// --workers N        Worker threads to play the games on (one per core)
+// --json             Print the report as JSON
+// --verbose          Log the game's debug messages, such as the order of every frame
+
+import os from 'node:os';
+import BatchRunner from './batchRunner.js';
+import { getRuleSet, DEFAULT_RULE_SET } from './ruleSets.js';
+import { getSurfaceCondition, DEFAULT_SURFACE } from './surfaces.js';
+import { getDiscSet, DEFAULT_DISC_SET } from './discSets.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+import { DEFAULT_AI_PERSONALITY } from './aiPersonalities.js';
+import { parseArgs } from './cliArgs.js';
+
+/**
+ * Reads an entrant given as difficulty:personality
+ * @param {string|undefined} value - e.g. 'hard:knocker', or just 'hard'
+ * @returns {{difficulty: string, personality: string}}
+ */
+function parseEntrant(value) {
+    const [difficulty, personality] = typeof value === 'string' ? value.split(':') : [];
+    return {
+        difficulty: difficulty || DEFAULT_DIFFICULTY,
+        personality: personality || DEFAULT_AI_PERSONALITY
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const games = parseInt(options.games ?? 100, 10);
+    const seed = parseInt(options.seed ?? 1, 10);
+    if (!(games > 0) || Number.isNaN(seed)) {
+        throw new Error('--games must be a positive number and --seed a number');
+    }
+    const workers = parseInt(options.workers ?? os.availableParallelism(), 10);
+    if (!(workers > 0)) {
+        throw new Error('--workers must be a positive number');
+    }
+
+    const ruleSet = getRuleSet(options.rules || DEFAULT_RULE_SET, {
+        winningScore: options.to ? parseInt(options.to, 10) : undefined
+    });
+
+    const runner = new BatchRunner({
+        games,
+        seed,
+        ruleSet,
+        surface: getSurfaceCondition(options.surface || DEFAULT_SURFACE),
+        discSet: getDiscSet(options.discs || DEFAULT_DISC_SET),
+        startPolicy: options.start,
+        entrants: [parseEntrant(options.p1), parseEntrant(options.p2)],
+        swapSeats: !options['no-swap'],
+        debug: !!options.verbose,
+        maxFrames: parseInt(options['max-frames'] ?? 40, 10),
+        budgetScale: parseFloat(options.budget ?? 0.5),
+        workers,
+        onGame: (record, played) => {
+            const result = record.winner === null ? 'unfinished' : `entrant ${record.winner + 1} won`;
+            process.stderr.write(`Game ${played}/${games} (seed ${record.seed}): ${result}, ` +
+                                 `${record.scores.join('-')} in ${record.frames} frames\n`);
+        }
+    });
+
+    const report = await runner.run();
+    console.log(options.json ? JSON.stringify(report, null, 2) : BatchRunner.formatReport(report));
+}
+
+main().catch(error => {
+    console.error(error.message || error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * Steps the physics world at a fixed rate, independent of the frame rate.
+ * Rendered frames feed the real time that passed into an accumulator and
+ * the world only ever advances in whole steps of timeStep, so a shot plays
+ * out in exactly the same steps however fast the game is drawn.
+ *
+ * The world is only stepped while the simulation is active. The game keeps
+ * it active while a shot is in flight, so every shot starts from the exact
+ * state the previous one left behind. Between shots every disc is at rest
+ * and asleep, so idle turns cost no physics at all.
+ */
+class Simulation {
+    constructor(world, { timeStep = 1 / 60, maxStepsPerUpdate = 5 } = {}) {
+        this.world = world;
+        this.timeStep = timeStep;
+        this.maxStepsPerUpdate = maxStepsPerUpdate; // Stops a slow frame from stalling the game
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.active = false;
+        this.stepCallbacks = new Set();
+    }
+
+    /**
+     * Simulated seconds since the last reset
+     * @returns {number}
+     */
+    get time() {
+        return this.stepCount * this.timeStep;
+    }
+
+    /**
+     * How far the accumulator is into the next step, for interpolating visuals
+     * @returns {number} A fraction in [0, 1)
+     */
+    get alpha() {
+        return this.accumulator / this.timeStep;
+    }
+
+    /**
+     * Starts or stops stepping the world. Leftover time is dropped so a new
+     * run never begins with steps owed from an earlier one.
+     * @param {boolean} active
+     */
+    setActive(active) {
+        this.active = active;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Registers a callback run after every step
+     * @param {Function} callback - Called with (timeStep, stepCount)
+     * @returns {Function} A function that removes the callback
+     */
+    onStep(callback) {
+        if (typeof callback !== 'function') {
+            return () => {};
+        }
+        this.stepCallbacks.add(callback);
+        return () => this.stepCallbacks.delete(callback);
+    }
+
+    /**
+     * Advances by the real time that passed since the last frame
+     * @param {number} delta - Seconds since the last update
+     * @returns {number} Number of steps taken
+     */
+    update(delta) {
+        if (!this.active || !Number.isFinite(delta) || delta <= 0) {
+            return 0;
+        }
+
+        this.accumulator += delta;
+
+        let steps = 0;
+        // Step callbacks may deactivate the simulation, e.g. once the board settles
+        while (this.active && this.accumulator >= this.timeStep && steps < this.maxStepsPerUpdate) {
+            this.accumulator -= this.timeStep;
+            this.step();
+            steps++;
+        }
+
+        if (steps === this.maxStepsPerUpdate) {
+            // Too far behind to catch up; run slower rather than spiral
+            this.accumulator = Math.min(this.accumulator, this.timeStep);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Advances the world by exactly one fixed step
+     */
+    step() {
+        this.world.step(this.timeStep);
+        this.stepCount++;
+
+        this.stepCallbacks.forEach(callback => {
+            try {
+                callback(this.timeStep, this.stepCount);
+            } catch (error) {
+                console.error('Error in simulation step callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Clears the clock, e.g. when a new game starts
+     */
+    reset() {
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.active = false;
+    }
+}
+
+export default Simulation;
@@ -0,0 +1,85 @@
+// Surface conditions describe how the playing surface has been prepared and
+// how it has worn. Each has a base coefficient of sliding friction, which
+// decides how far a given power sends a disc, and a friction map that slows
+// or speeds discs up in regions along the board. Regions are measured from
+// the middle of the board (0) out to either end (1), so both ends play alike.
+
+import { lookupPreset } from './presets.js';
+
+// friction:    coefficient of sliding friction between a disc and the board
+// restitution: bounce of a disc dropping onto the board
+// regions:     {from, to, scale} multipliers of the friction, 1 elsewhere
+// color, roughness: how the board is drawn
+const SURFACE_CONDITIONS = {
+    waxed: {
+        id: 'waxed',
+        name: 'Waxed',
+        friction: 0.12,
+        restitution: 0.2,
+        regions: [
+            { from: 0, to: 0.35, scale: 1.1 },  // Worn lane down the middle
+            { from: 0.7, to: 1, scale: 0.9 }    // Fresh wax over the scoring areas
+        ],
+        color: 0x2e7d32,
+        roughness: 0.5
+    },
+    dry: {
+        id: 'dry',
+        name: 'Dry',
+        friction: 0.16,
+        restitution: 0.2,
+        regions: [
+            { from: 0.5, to: 1, scale: 1.1 }    // Scuffed where discs are stopped and lifted
+        ],
+        color: 0x3b7d3f,
+        roughness: 0.8
+    },
+    wet: {
+        id: 'wet',
+        name: 'Wet',
+        friction: 0.2,
+        restitution: 0.1,
+        regions: [
+            { from: 0.2, to: 0.55, scale: 1.3 }, // Standing water in the dip before the scoring areas
+            { from: 0.55, to: 1, scale: 0.85 }   // Thin film that lets discs skid
+        ],
+        color: 0x1f5e24,
+        roughness: 0.2
+    },
+    sand: {
+        id: 'sand',
+        name: 'Sand Grit',
+        friction: 0.09,
+        restitution: 0.15,
+        regions: [
+            { from: 0, to: 0.3, scale: 0.9 },    // Grit rolls under the disc like bearings
+            { from: 0.75, to: 1, scale: 1.35 }   // Grit swept off the ends, where discs grab
+        ],
+        color: 0x6d7d3a,
+        roughness: 0.95
+    }
+};
+
+const DEFAULT_SURFACE = 'waxed';
+
+/**
+ * Looks up a surface condition by id
+ * @param {string} id - 'waxed', 'dry', 'wet' or 'sand'
+ * @returns {Object} A copy of the surface condition, safe to modify
+ */
+function getSurfaceCondition(id) {
+    return lookupPreset(SURFACE_CONDITIONS, id, 'surface condition', DEFAULT_SURFACE);
+}
+
+/**
+ * The friction multiplier of the region a point of the board lies in
+ * @param {Object} surface - A surface condition
+ * @param {number} along - Distance from the middle of the board, 0 to 1 at the ends
+ * @returns {number}
+ */
+function getFrictionScale(surface, along) {
+    const region = surface.regions.find(({ from, to }) => along >= from && along <= to);
+    return region ? region.scale : 1;
+}
+
+export { SURFACE_CONDITIONS, DEFAULT_SURFACE, getSurfaceCondition, getFrictionScale };
@@ -0,0 +1,99 @@
+// Phases a single turn moves through, and the phases each one may lead to.
+// A turn starts in 'aiming', the shot is lined up in 'charging', the disc
+// travels in 'sliding', everything else on the board comes to rest in
+// 'settling', and the shot is evaluated in 'scoring' before the next turn
+// returns to 'aiming'. 'idle' covers the time between frames and games.
+const TURN_TRANSITIONS = {
+    idle: ['aiming'],
+    aiming: ['charging', 'sliding', 'idle'], // The AI releases without charging
+    charging: ['aiming', 'sliding', 'idle'],
+    sliding: ['settling', 'idle'],
+    settling: ['scoring', 'idle'],
+    scoring: ['aiming', 'idle']
+};
+
+class TurnStateMachine {
+    constructor() {
+        this.phase = 'idle';
+        this.validPhases = new Set(Object.keys(TURN_TRANSITIONS));
+        this.onStateChangeCallbacks = new Set();
+    }
+
+    get value() {
+        return this.phase;
+    }
+
+    /**
+     * Checks whether the turn is currently in one of the given phases
+     * @param {...string} phases - Phases to test against
+     * @returns {boolean}
+     */
+    is(...phases) {
+        return phases.includes(this.phase);
+    }
+
+    /**
+     * Whether the turn may move from its current phase to the given one
+     * @param {string} phase - The phase to move to
+     * @returns {boolean}
+     */
+    canTransition(phase) {
+        return TURN_TRANSITIONS[this.phase]?.includes(phase) ?? false;
+    }
+
+    /**
+     * Moves the turn to a new phase and notifies listeners
+     * @param {string} phase - The phase to move to
+     * @param {Object} [data] - Extra information passed on to listeners
+     * @returns {boolean} Whether the transition happened
+     */
+    transition(phase, data = {}) {
+        if (!this.validPhases.has(phase)) {
+            console.warn(`Invalid turn phase: ${phase}`);
+            return false;
+        }
+
+        if (!this.canTransition(phase)) {
+            console.warn(`Invalid turn transition: ${this.phase} -> ${phase}`);
+            return false;
+        }
+
+        const oldPhase = this.phase;
+        this.phase = phase;
+
+        this.onStateChangeCallbacks.forEach(callback => {
+            try {
+                callback(phase, oldPhase, data);
+            } catch (error) {
+                console.error('Error in turn phase callback:', error);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Returns to 'idle' from any phase, e.g. when a game is abandoned
+     */
+    reset() {
+        if (this.phase !== 'idle') {
+            this.transition('idle');
+        }
+    }
+
+    /**
+     * Registers a callback for phase changes
+     * @param {Function} callback - Called with (newPhase, oldPhase, data)
+     * @returns {Function} A function that removes the callback
+     */
+    onStateChange(callback) {
+        if (typeof callback !== 'function') {
+            return () => {};
+        }
+        this.onStateChangeCallbacks.add(callback);
+        return () => this.onStateChangeCallbacks.delete(callback);
+    }
+}
+
+export { TURN_TRANSITIONS };
+export default TurnStateMachine;
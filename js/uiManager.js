@@ -1,3 +1,12 @@
+import { LAYOUTS, RULE_SETS, createCustomRuleSet } from './ruleSets.js';
+import { START_POLICIES } from './frameOrder.js';
+import { SURFACE_CONDITIONS } from './surfaces.js';
+import { DISC_SETS } from './discSets.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { CHARGE_MECHANICS } from './chargeMechanics.js';
+import { AI_PERSONALITIES } from './aiPersonalities.js';
+import { MATCH_FORMATS } from './matchFormats.js';
+
 class UIManager {
     constructor() {
         // Initialize state
@@ -16,13 +25,20 @@ class UIManager {
             mainMenu: document.getElementById('main-menu'),
             gameUI: document.getElementById('game-ui'),
             scoreContainer: document.getElementById('score-container'),
-            player1Score: document.getElementById('player1-score'),
-            player2Score: document.getElementById('player2-score'),
+            scoreDisplay: document.getElementById('score-display'),
             turnIndicator: document.getElementById('turn-indicator'),
+            hammerIndicator: document.getElementById('hammer-indicator'),
             powerMeter: {
                 container: document.getElementById('power-meter'),
-                fill: document.getElementById('power-fill'),
-                text: document.getElementById('power-text')
+                fill: document.getElementById('power-bar'),
+                text: document.getElementById('power-text'),
+                overcharge: document.getElementById('power-overcharge'),
+                target: document.getElementById('power-target'),
+                marker: document.getElementById('power-marker')
+            },
+            spinMeter: {
+                container: document.getElementById('spin-meter'),
+                marker: document.getElementById('spin-marker')
             },
             messageBox: {
                 container: document.getElementById('message-box'),
@@ -30,24 +46,74 @@ class UIManager {
                 text: document.getElementById('message-text'),
                 button: document.getElementById('message-button')
             },
+            notice: document.getElementById('message'),
             // Modals
             howToPlayModal: document.getElementById('how-to-play-modal'),
+            rulesHelpList: document.getElementById('rules-help-list'),
+            rulesHelpSummary: document.getElementById('rules-help-summary'),
             settingsModal: document.getElementById('settings-modal'),
             gameOverModal: document.getElementById('game-over-modal'),
+            frameSummaryModal: document.getElementById('frame-summary-modal'),
             // Buttons
-            startButton: document.getElementById('start-button'),
-            howToPlayButton: document.getElementById('how-to-play-button'),
-            settingsButton: document.getElementById('settings-button'),
+            startButton: document.getElementById('start-game'),
+            howToPlayButton: document.getElementById('how-to-play'),
+            settingsButton: document.getElementById('settings'),
             menuButton: document.getElementById('menu-button'),
             // Settings
             volumeSlider: document.getElementById('volume-slider'),
             graphicsQuality: document.getElementById('graphics-quality'),
             enableShadows: document.getElementById('enable-shadows'),
+            chargeMechanicSelect: document.getElementById('charge-mechanic'),
+            chargeSpeedSlider: document.getElementById('charge-speed'),
             // Game over
-            gameOverTitle: document.getElementById('game-over-title'),
-            gameOverText: document.getElementById('game-over-text'),
-            playAgainButton: document.getElementById('play-again-button'),
-            mainMenuButton: document.getElementById('main-menu-button')
+            gameOverTitle: document.getElementById('winner-message'),
+            gameOverText: document.getElementById('final-scores'),
+            playAgainButton: document.getElementById('play-again'),
+            mainMenuButton: document.getElementById('main-menu-btn'),
+            // Frame summary
+            frameSummaryTitle: document.getElementById('frame-summary-title'),
+            frameSummary: document.getElementById('frame-summary'),
+            nextFrameButton: document.getElementById('next-frame'),
+            // Rules
+            ruleSetSelect: document.getElementById('rule-set'),
+            winningScoreSetting: document.getElementById('winning-score-setting'),
+            winningScoreSelect: document.getElementById('winning-score'),
+            customRulesButton: document.getElementById('custom-rules'),
+            startPolicySelect: document.getElementById('start-policy'),
+            surfaceSelect: document.getElementById('surface'),
+            discSetSelect: document.getElementById('disc-set'),
+            difficultySelect: document.getElementById('difficulty'),
+            aiPersonalitySelect: document.getElementById('ai-personality'),
+            aiPersonalityLabel: document.getElementById('ai-personality-label'),
+            gameModeSelect: document.getElementById('game-mode'),
+            aiPersonalitySetting: document.getElementById('ai-personality-setting'),
+            adaptiveAISetting: document.getElementById('adaptive-ai-setting'),
+            hotseatSetup: document.getElementById('hotseat-setup'),
+            playerCountSelect: document.getElementById('player-count'),
+            matchFormatSelect: document.getElementById('match-format'),
+            playerList: document.getElementById('player-list'),
+            onlineSetup: document.getElementById('online-setup'),
+            onlineNameInput: document.getElementById('online-name'),
+            onlineServerInput: document.getElementById('online-server'),
+            onlineRoomInput: document.getElementById('online-room'),
+            joinRoomButton: document.getElementById('join-room'),
+            onlineStatus: document.getElementById('online-status'),
+            spectatorPersonalitySetting: document.getElementById('spectator-personality-setting'),
+            spectatorPersonalitySelect: document.getElementById('spectator-personality'),
+            spectatorSpeedSetting: document.getElementById('spectator-speed-setting'),
+            spectatorSpeedSlider: document.getElementById('spectator-speed'),
+            aimGuideCheckbox: document.getElementById('aim-guide'),
+            adaptiveAICheckbox: document.getElementById('adaptive-ai'),
+            debugOverlay: document.getElementById('debug-overlay'),
+            customRulesModal: document.getElementById('custom-rules-modal'),
+            customLayout: document.getElementById('custom-layout'),
+            customDiscs: document.getElementById('custom-discs'),
+            customWinningScore: document.getElementById('custom-winning-score'),
+            customLineRule: document.getElementById('custom-line-rule'),
+            customScoring: document.getElementById('custom-scoring'),
+            customHangerPoints: document.getElementById('custom-hanger-points'),
+            customZonePoints: document.getElementById('custom-zone-points'),
+            saveCustomRulesButton: document.getElementById('save-custom-rules')
         };
 
         // Initialize UI state with validation
@@ -219,6 +285,9 @@ class UIManager {
     }
 
     bindEvents() {
+        if (this._eventsBound) return;
+        this._eventsBound = true;
+        
         try {
             // Menu buttons
             this.safeAddEventListener(this.elements.startButton, 'click', () => this.emit('startGame'));
@@ -226,6 +295,100 @@ class UIManager {
             this.safeAddEventListener(this.elements.settingsButton, 'click', () => this.showModal('settings'));
             this.safeAddEventListener(this.elements.menuButton, 'click', () => this.toggleMenu());
             
+            // Rules
+            this.safeAddEventListener(this.elements.ruleSetSelect, 'change', (e) => {
+                this.emit('ruleSetChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.winningScoreSelect, 'change', (e) => {
+                this.emit('winningScoreChange', parseInt(e.target.value, 10));
+            });
+            
+            this.safeAddEventListener(this.elements.startPolicySelect, 'change', (e) => {
+                this.emit('startPolicyChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.surfaceSelect, 'change', (e) => {
+                this.emit('surfaceChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.discSetSelect, 'change', (e) => {
+                this.emit('discSetChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.difficultySelect, 'change', (e) => {
+                this.emit('difficultyChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.aiPersonalitySelect, 'change', (e) => {
+                this.emit('aiPersonalityChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.gameModeSelect, 'change', (e) => {
+                this.emit('gameModeChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.playerCountSelect, 'change', (e) => {
+                this.emit('playerCountChange', parseInt(e.target.value, 10));
+            });
+            
+            this.safeAddEventListener(this.elements.matchFormatSelect, 'change', (e) => {
+                this.emit('matchFormatChange', e.target.value);
+            });
+            
+            // The player rows are rebuilt as the line-up changes, so their
+            // changes are picked up from the list
+            this.safeAddEventListener(this.elements.playerList, 'change', (e) => {
+                const index = parseInt(e.target.dataset.index, 10);
+                if (Number.isNaN(index)) return;
+                
+                if (e.target.dataset.field === 'color') {
+                    this.emit('playerSetupChange', { index, color: parseInt(e.target.value.slice(1), 16) });
+                } else {
+                    this.emit('playerSetupChange', { index, name: e.target.value });
+                }
+            });
+            
+            this.safeAddEventListener(this.elements.onlineNameInput, 'change', (e) => {
+                this.emit('onlineSetupChange', { name: e.target.value });
+            });
+            
+            this.safeAddEventListener(this.elements.onlineServerInput, 'change', (e) => {
+                this.emit('onlineSetupChange', { server: e.target.value });
+            });
+            
+            this.safeAddEventListener(this.elements.joinRoomButton, 'click', () => {
+                this.emit('joinRoom', this.elements.onlineRoomInput?.value || '');
+            });
+            
+            this.safeAddEventListener(this.elements.spectatorPersonalitySelect, 'change', (e) => {
+                this.emit('spectatorPersonalityChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.spectatorSpeedSlider, 'input', (e) => {
+                this.emit('spectatorSpeedChange', parseFloat(e.target.value));
+            });
+            
+            this.safeAddEventListener(this.elements.aimGuideCheckbox, 'change', (e) => {
+                this.emit('aimGuideChange', e.target.checked);
+            });
+            
+            this.safeAddEventListener(this.elements.adaptiveAICheckbox, 'change', (e) => {
+                this.emit('adaptiveAIChange', e.target.checked);
+            });
+            
+            this.safeAddEventListener(this.elements.customRulesButton, 'click', () => this.emit('editCustomRules'));
+            
+            this.safeAddEventListener(this.elements.customLayout, 'change', (e) => {
+                // Start the zones of a newly chosen layout from its defaults
+                this.renderZonePointFields(createCustomRuleSet({ layout: e.target.value }));
+            });
+            
+            this.safeAddEventListener(this.elements.saveCustomRulesButton, 'click', () => {
+                this.emit('customRulesSave', this.readCustomRulesEditor());
+                this.hideModal('customRules');
+            });
+            
             // Game over buttons
             this.safeAddEventListener(this.elements.playAgainButton, 'click', () => this.emit('playAgain'));
             this.safeAddEventListener(this.elements.mainMenuButton, 'click', () => this.showScreen('menu'));
@@ -243,10 +406,18 @@ class UIManager {
                 this.emit('shadowsToggle', e.target.checked);
             });
             
+            this.safeAddEventListener(this.elements.chargeMechanicSelect, 'change', (e) => {
+                this.emit('chargeMechanicChange', e.target.value);
+            });
+            
+            this.safeAddEventListener(this.elements.chargeSpeedSlider, 'input', (e) => {
+                this.emit('chargeSpeedChange', parseFloat(e.target.value));
+            });
+            
             // Modal close buttons - use event delegation for dynamic elements
             document.body.addEventListener('click', (e) => {
                 try {
-                    const closeButton = e.target.closest('.modal-close');
+                    const closeButton = e.target.closest('.modal-close, .modal .close');
                     if (closeButton) {
                         this.hideModal();
                     }
@@ -421,6 +592,18 @@ class UIManager {
         }
     }
 
+    on(event, callback) {
+        this._callbacks = this._callbacks || {};
+        if (typeof callback !== 'function') return this;
+        
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        
+        return this;
+    }
+
     off(event, callback) {
         this._callbacks = this._callbacks || {};
         if (!this._callbacks[event]) return this;
@@ -451,6 +634,10 @@ class UIManager {
             el.classList.add('hidden');
         });
         
+        // The main menu fades in with .visible, the game UI fades out with .hidden
+        this.elements.mainMenu?.classList.toggle('visible', screenName === 'menu');
+        this.elements.gameUI?.classList.toggle('hidden', screenName !== 'game');
+        
         // Show the requested screen
         switch(screenName) {
             case 'loading':
@@ -480,44 +667,42 @@ class UIManager {
 
     // Game UI
     /**
-     * Update player information in the UI
-     * @param {Player} player1 - First player object
-     * @param {Player} player2 - Second player object
+     * Shows the match score of every team, "vs" between them
+     * @param {{name: string, color: number, score: number, active: boolean}[]} entries -
+     *   One entry per team; active marks the team whose turn it is
      */
-    updatePlayerInfo(player1, player2) {
-        try {
-            // Update player 1 info
-            if (this.elements.player1Score) {
-                this.elements.player1Score.textContent = player1.score || 0;
-            }
-            
-            // Update player 2 info
-            if (this.elements.player2Score) {
-                this.elements.player2Score.textContent = player2.score || 0;
+    updateScoreboard(entries) {
+        const container = this.elements.scoreDisplay;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        entries.forEach(({ name, color, score, active }, i) => {
+            if (i > 0) {
+                const vs = document.createElement('span');
+                vs.className = 'vs';
+                vs.textContent = 'vs';
+                container.appendChild(vs);
             }
             
-            // Update turn indicator if available
-            if (this.elements.turnIndicator) {
-                const currentPlayer = this.game?.currentPlayerIndex === 0 ? player1 : player2;
-                this.elements.turnIndicator.textContent = `${currentPlayer.isAI ? 'AI' : 'Player ' + (this.game.currentPlayerIndex + 1)}'s Turn`;
-                this.elements.turnIndicator.className = `turn-indicator ${currentPlayer.isAI ? 'ai-turn' : 'player-turn'}`;
-            }
+            const entry = document.createElement('span');
+            entry.className = `player-score${active ? ' active' : ''}`;
             
-            // Update any other player-related UI elements here
+            const swatch = document.createElement('span');
+            swatch.className = 'player-swatch';
+            swatch.style.background = this.toColorValue(color);
+            entry.appendChild(swatch);
             
-        } catch (error) {
-            console.error('Error updating player info:', error);
-        }
+            entry.appendChild(document.createTextNode(`${name}: ${score}`));
+            container.appendChild(entry);
+        });
     }
-    
-    updateScores(player1Score, player2Score) {
-        if (this.elements.player1Score) {
-            this.elements.player1Score.textContent = player1Score;
-        }
-        
-        if (this.elements.player2Score) {
-            this.elements.player2Score.textContent = player2Score;
-        }
+
+    /**
+     * @param {number} color - Colour as a number, e.g. 0xff0000
+     * @returns {string} The colour as '#rrggbb', as colour inputs take it
+     */
+    toColorValue(color) {
+        return `#${(color >>> 0).toString(16).padStart(6, '0').slice(-6)}`;
     }
 
     updateTurnIndicator(playerName, isPlayerTurn) {
@@ -527,9 +712,39 @@ class UIManager {
         }
     }
 
-    updatePowerMeter(power, maxPower = 1) {
+    /**
+     * Shows which player holds the hammer (the last shot) this frame
+     * @param {string} playerName - Name of the player with the hammer
+     */
+    updateHammerIndicator(playerName) {
+        if (this.elements.hammerIndicator) {
+            this.elements.hammerIndicator.textContent = `Hammer: ${playerName}`;
+        }
+    }
+
+    /**
+     * Shows the charge of the shot being lined up
+     * @param {number} power - Charge so far
+     * @param {number} [maxPower=1] - Charge of a full meter
+     * @param {Object} [extra]
+     * @param {number} [extra.overcharge=0] - How far the meter is overcharged, 0 to 1
+     * @param {number|null} [extra.marker=null] - Accuracy marker position, 0 to 1,
+     *   or null while there is none
+     */
+    updatePowerMeter(power, maxPower = 1, { overcharge = 0, marker = null } = {}) {
         if (!this.elements.powerMeter.container) return;
         
+        const { overcharge: overchargeElement, marker: markerElement } = this.elements.powerMeter;
+        if (overchargeElement) {
+            overchargeElement.style.opacity = overcharge;
+        }
+        if (markerElement) {
+            markerElement.style.display = marker === null ? 'none' : 'block';
+            if (marker !== null) {
+                markerElement.style.left = `${Math.max(0, Math.min(1, marker)) * 100}%`;
+            }
+        }
+        
         const percentage = Math.min(100, Math.max(0, (power / maxPower) * 100));
         
         if (this.elements.powerMeter.fill) {
@@ -556,6 +771,60 @@ class UIManager {
         }
     }
 
+    /**
+     * Lays the power meter out for a charge mechanic: the two-stage meter
+     * marks its accuracy target, the linear meter can glow with overcharge
+     * @param {Object} mechanic - A charge mechanic from getChargeMechanic()
+     */
+    setPowerMeterMode(mechanic) {
+        const { container, target } = this.elements.powerMeter;
+        if (!container) return;
+        
+        container.dataset.mode = mechanic.id;
+        if (target && mechanic.id === 'twoStage') {
+            const from = Math.max(0, mechanic.accuracyTarget - mechanic.accuracyRange);
+            const to = Math.min(1, mechanic.accuracyTarget + mechanic.accuracyRange);
+            target.style.left = `${from * 100}%`;
+            target.style.width = `${(to - from) * 100}%`;
+        }
+        this.updatePowerMeter(0);
+    }
+
+    showDebugOverlay(show = true) {
+        if (this.elements.debugOverlay) {
+            this.elements.debugOverlay.style.display = show ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * @param {string[]} lines - Lines of debug information to show
+     */
+    updateDebugOverlay(lines) {
+        if (this.elements.debugOverlay) {
+            this.elements.debugOverlay.textContent = lines.join('\n');
+        }
+    }
+
+    /**
+     * Moves the spin marker; the middle is no spin
+     * @param {number} spin - -1 (curls right) to 1 (curls left)
+     */
+    updateSpinMeter(spin) {
+        if (this.elements.spinMeter.marker) {
+            const position = 50 - Math.max(-1, Math.min(1, spin)) * 50;
+            this.elements.spinMeter.marker.style.left = `${position}%`;
+        }
+    }
+
+    showSpinMeter(show = true) {
+        if (this.elements.spinMeter.container) {
+            this.elements.spinMeter.container.style.display = show ? 'block' : 'none';
+        }
+        if (show) {
+            this.updateSpinMeter(0);
+        }
+    }
+
     // Messages
     /**
      * Shows a message box to the user
@@ -632,6 +901,24 @@ class UIManager {
         }
     }
 
+    /**
+     * Shows a short notice over the game that fades by itself, without
+     * stopping play the way showMessage() does
+     * @param {string} text - The notice
+     * @param {number} [duration=1500] - Milliseconds to show it for
+     */
+    showNotice(text, duration = 1500) {
+        const { notice } = this.elements;
+        if (!notice) return;
+
+        notice.textContent = text;
+        notice.classList.add('visible');
+
+        // A newer notice replaces the one showing and starts its time afresh
+        clearTimeout(this._noticeTimeout);
+        this._noticeTimeout = setTimeout(() => notice.classList.remove('visible'), duration);
+    }
+
     // Modals
     /**
      * Shows the specified modal dialog
@@ -659,8 +946,8 @@ class UIManager {
             }
             
             // Show the requested modal
-            modal.classList.add('active');
-            modal.style.display = 'block';
+            modal.classList.add('active', 'visible');
+            modal.style.display = '';
             modal.setAttribute('aria-hidden', 'false');
             
             // Update state
@@ -705,8 +992,8 @@ class UIManager {
             }
             
             // Hide the modal
-            modal.classList.remove('active');
-            modal.style.display = 'none';
+            modal.classList.remove('active', 'visible');
+            modal.style.display = '';
             modal.setAttribute('aria-hidden', 'true');
             
             // Update state if this was the current modal
@@ -740,8 +1027,8 @@ class UIManager {
             modals.forEach(modal => {
                 try {
                     if (modal.classList.contains('active')) {
-                        modal.classList.remove('active');
-                        modal.style.display = 'none';
+                        modal.classList.remove('active', 'visible');
+                        modal.style.display = '';
                         modal.setAttribute('aria-hidden', 'true');
                         anyHidden = true;
                     }
@@ -881,8 +1168,18 @@ class UIManager {
      * @param {Object} [options] - Additional options
      * @param {Function} [options.onPlayAgain] - Callback when play again is clicked
      * @param {Function} [options.onMainMenu] - Callback when main menu is clicked
+     * @param {{name: string, score: number}[]} [options.standings] - Every
+     *   team's final score, shown in place of the two scores for a match
+     *   the local user watched or played against other people
+     * @param {string} [options.winnerName] - Name of the winner, shown in
+     *   place of the usual title
      */
-    showGameOver(winner, playerScore, aiScore, { onPlayAgain = null, onMainMenu = null } = {}) {
+    showGameOver(winner, playerScore, aiScore, {
+        onPlayAgain = null,
+        onMainMenu = null,
+        standings = null,
+        winnerName = null
+    } = {}) {
         try {
             // Validate inputs
             if (!['player', 'ai', 'tie'].includes(winner)) {
@@ -900,11 +1197,13 @@ class UIManager {
                     'ai': 'Game Over',
                     'tie': 'Game Over - Tie!'
                 }[winner];
-                this.elements.gameOverTitle.textContent = titleText;
+                this.elements.gameOverTitle.textContent = winnerName ? `${winnerName} Wins!` : titleText;
             }
             
             if (this.elements.gameOverText) {
-                this.elements.gameOverText.textContent = `Final Score - You: ${playerScore} | AI: ${aiScore}`;
+                const entries = standings || [{ name: 'You', score: playerScore }, { name: 'AI', score: aiScore }];
+                this.elements.gameOverText.textContent =
+                    `Final Score - ${entries.map(({ name, score }) => `${name}: ${score}`).join(' | ')}`;
             }
             
             // Set up play again button
@@ -955,6 +1254,580 @@ class UIManager {
         }
     }
 
+    /**
+     * Shows the per-disc breakdown of a finished frame
+     * @param {Object} summary - Result of ShuffleboardGame.scoreFrame()
+     * @param {number[]} scores - Match totals after the frame was banked, by
+     *   player; partners share their team's total
+     * @param {Function} [onContinue] - Called when the player moves on to the next frame
+     * @param {Object} [options]
+     * @param {string[]} [options.names] - Names to show for the players, by index
+     * @param {number} [options.autoContinue=0] - Milliseconds after which to
+     *   move on without waiting for the button, 0 to wait
+     */
+    showFrameSummary(summary, scores, onContinue = null, { names = null, autoContinue = 0 } = {}) {
+        try {
+            const { frameSummaryTitle, frameSummary } = this.elements;
+            clearTimeout(this._frameSummaryTimeout);
+            
+            if (frameSummaryTitle) {
+                frameSummaryTitle.textContent = `Frame ${summary.frame}`;
+            }
+            
+            if (frameSummary) {
+                frameSummary.innerHTML = '';
+                
+                // Players who sat the frame out at the other end have no row
+                summary.players.filter(result => result.discs.length > 0).forEach(result => {
+                    const row = document.createElement('div');
+                    row.className = 'frame-row';
+                    
+                    const name = document.createElement('span');
+                    name.className = 'frame-player';
+                    name.textContent = names?.[result.index] || `Player ${result.index + 1}`;
+                    if (result.index === summary.hammer) {
+                        const hammer = document.createElement('span');
+                        hammer.className = 'frame-hammer';
+                        hammer.textContent = 'Hammer';
+                        name.appendChild(hammer);
+                    }
+                    row.appendChild(name);
+                    
+                    const discs = document.createElement('span');
+                    discs.className = 'frame-discs';
+                    result.discs.forEach(disc => {
+                        const chip = document.createElement('span');
+                        chip.className = `frame-disc frame-disc-${disc.type}`;
+                        chip.textContent = this.describeDiscResult(disc);
+                        if (disc.counted === false) {
+                            // Outscored by an opponent's disc under leader scoring
+                            chip.classList.add('frame-disc-uncounted');
+                        }
+                        discs.appendChild(chip);
+                    });
+                    row.appendChild(discs);
+                    
+                    const total = document.createElement('span');
+                    total.className = 'frame-total';
+                    total.textContent = `${result.total >= 0 ? '+' : ''}${result.total} (${scores[result.index]})`;
+                    row.appendChild(total);
+                    
+                    frameSummary.appendChild(row);
+                });
+            }
+            
+            if (this.elements.nextFrameButton) {
+                // Clone to remove existing event listeners
+                const newButton = this.elements.nextFrameButton.cloneNode(true);
+                this.elements.nextFrameButton.parentNode.replaceChild(newButton, this.elements.nextFrameButton);
+                this.elements.nextFrameButton = newButton;
+                
+                this.safeAddEventListener(this.elements.nextFrameButton, 'click', () => {
+                    clearTimeout(this._frameSummaryTimeout);
+                    this.hideModal('frameSummary');
+                    if (typeof onContinue === 'function') {
+                        try {
+                            onContinue();
+                        } catch (error) {
+                            console.error('Error in next frame callback:', error);
+                        }
+                    }
+                });
+            }
+            
+            this.showModal('frameSummary');
+            
+            if (autoContinue > 0) {
+                const button = this.elements.nextFrameButton;
+                this._frameSummaryTimeout = setTimeout(() => button?.click(), autoContinue);
+            }
+            
+        } catch (error) {
+            console.error('Error showing frame summary:', error);
+            if (typeof onContinue === 'function') {
+                onContinue();
+            }
+        }
+    }
+    
+    /**
+     * Short label for where a disc finished
+     * @param {{value: number, type: string, zone: string|null}} result
+     * @returns {string}
+     */
+    describeDiscResult(result) {
+        switch (result.type) {
+            case 'zone':
+                return result.value < 0 ? `${-result.value} OFF` : String(result.value);
+            case 'line':
+                return result.value === 0 ? 'Line' : `Line ${result.value}`;
+            case 'hanger':
+                return `Hanger ${result.value}`;
+            case 'out':
+                return 'Off';
+            case 'dead':
+                return 'Dead';
+            default:
+                return '0';
+        }
+    }
+
+    /**
+     * Fills in the rule set controls of the main menu
+     * @param {Object} ruleSet - The active rule set
+     */
+    updateRuleSetMenu(ruleSet) {
+        try {
+            const { ruleSetSelect, winningScoreSetting, winningScoreSelect, customRulesButton } = this.elements;
+            
+            if (ruleSetSelect) {
+                ruleSetSelect.value = ruleSet.id;
+            }
+            
+            if (winningScoreSelect) {
+                const options = RULE_SETS[ruleSet.id]?.winningScoreOptions || [];
+                winningScoreSelect.innerHTML = '';
+                options.forEach(score => {
+                    const option = document.createElement('option');
+                    option.value = score;
+                    option.textContent = `${score} points`;
+                    winningScoreSelect.appendChild(option);
+                });
+                winningScoreSelect.value = ruleSet.winningScore;
+                
+                // Nothing to choose when there is only one target
+                if (winningScoreSetting) {
+                    winningScoreSetting.style.display = options.length > 1 ? '' : 'none';
+                }
+            }
+            
+            if (customRulesButton) {
+                customRulesButton.style.display = ruleSet.id === 'custom' ? '' : 'none';
+            }
+            
+            this.updateRulesHelp(ruleSet);
+        } catch (error) {
+            console.error('Error updating rule set menu:', error);
+        }
+    }
+
+    /**
+     * Describes the scoring of the active rule set in the How to Play
+     * instructions
+     * @param {Object} ruleSet
+     */
+    updateRulesHelp(ruleSet) {
+        const { rulesHelpList, rulesHelpSummary } = this.elements;
+        const points = (value) => `${value} ${Math.abs(value) === 1 ? 'point' : 'points'}`;
+        
+        if (rulesHelpList) {
+            // [heading, text] of every rule, heading null for none
+            const rules = LAYOUTS[ruleSet.layout].zones.map(zone => {
+                const value = ruleSet.points[zone.id];
+                return [`${zone.label}:`, value < 0 ? `Costs ${points(-value)}` : points(value)];
+            });
+            rules.push([null, ruleSet.lineRule === 'lower' ?
+                'A disc touching a line scores the lower of the zones it touches' :
+                'A disc must lie wholly inside a zone to score; a disc touching a line scores nothing']);
+            if (ruleSet.hangerPoints > 0) {
+                rules.push(['Hanger:', `A disc overhanging the far edge scores ${points(ruleSet.hangerPoints)}`]);
+            }
+            if (ruleSet.scoring === 'leader') {
+                rules.push([null, 'Only the player with the disc furthest down the board scores, and only with the discs beyond every opposing disc']);
+            }
+            rules.push([null, 'A disc that drops into a side gutter or the end alley is dead: it is taken off and scores nothing that frame']);
+            
+            rulesHelpList.innerHTML = '';
+            rules.forEach(([heading, text]) => {
+                const item = document.createElement('li');
+                if (heading) {
+                    const strong = document.createElement('strong');
+                    strong.textContent = heading;
+                    item.append(strong, ' ');
+                }
+                item.append(text);
+                rulesHelpList.appendChild(item);
+            });
+        }
+        
+        if (rulesHelpSummary) {
+            rulesHelpSummary.textContent = `Points are counted once all ${ruleSet.discsPerPlayer} discs of every player ` +
+                'have been played in a frame, so a disc knocked out of a zone no longer counts. ' +
+                `The first to reach ${ruleSet.winningScore} points wins!`;
+        }
+    }
+
+    /**
+     * Fills in the first-shot policy select of the main menu
+     * @param {string} policy - The selected policy
+     */
+    updateStartPolicyMenu(policy) {
+        const select = this.elements.startPolicySelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        Object.entries(START_POLICIES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = policy;
+    }
+
+    /**
+     * Fills in the surface condition select of the main menu
+     * @param {string} surface - Id of the selected surface condition
+     */
+    updateSurfaceMenu(surface) {
+        const select = this.elements.surfaceSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        Object.values(SURFACE_CONDITIONS).forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = surface;
+    }
+
+    /**
+     * Fills in the charge controls of the settings
+     * @param {string} mechanic - Id of the selected charge mechanic
+     * @param {number} speed - Meter speed
+     */
+    updateChargeMenu(mechanic, speed) {
+        const { chargeMechanicSelect, chargeSpeedSlider } = this.elements;
+        
+        if (chargeMechanicSelect) {
+            chargeMechanicSelect.innerHTML = '';
+            Object.values(CHARGE_MECHANICS).forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                chargeMechanicSelect.appendChild(option);
+            });
+            chargeMechanicSelect.value = mechanic;
+        }
+        
+        if (chargeSpeedSlider) {
+            chargeSpeedSlider.value = speed;
+        }
+    }
+
+    /**
+     * Fills in the difficulty controls of the main menu
+     * @param {string} difficulty - Id of the selected difficulty
+     * @param {boolean} aimGuide - Whether the aiming guide is switched on
+     * @param {boolean} [adaptiveAI=false] - Whether the AI adapts to the human's form
+     */
+    updateDifficultyMenu(difficulty, aimGuide, adaptiveAI = false) {
+        const { difficultySelect, aimGuideCheckbox, adaptiveAICheckbox } = this.elements;
+        
+        if (difficultySelect) {
+            difficultySelect.innerHTML = '';
+            Object.values(DIFFICULTIES).forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                difficultySelect.appendChild(option);
+            });
+            difficultySelect.value = difficulty;
+        }
+        
+        if (aimGuideCheckbox) {
+            aimGuideCheckbox.checked = !!aimGuide;
+        }
+        
+        if (adaptiveAICheckbox) {
+            adaptiveAICheckbox.checked = !!adaptiveAI;
+        }
+    }
+
+    /**
+     * Fills in the computer player selects of the main menu
+     * @param {string} personality - Id of the selected AI personality
+     * @param {string} [spectatorPersonality] - Id of the personality that
+     *   plays Player 1 when the computer plays both sides
+     */
+    updateAIPersonalityMenu(personality, spectatorPersonality = personality) {
+        const { aiPersonalitySelect, spectatorPersonalitySelect } = this.elements;
+        
+        [[aiPersonalitySelect, personality], [spectatorPersonalitySelect, spectatorPersonality]]
+            .forEach(([select, value]) => {
+                if (!select) return;
+                
+                select.innerHTML = '';
+                Object.values(AI_PERSONALITIES).forEach(({ id, name }) => {
+                    const option = document.createElement('option');
+                    option.value = id;
+                    option.textContent = name;
+                    select.appendChild(option);
+                });
+                select.value = value;
+            });
+    }
+
+    /**
+     * Fills in the mode controls of the main menu. The Player 1 and speed
+     * controls only show when the computer plays both sides, the player
+     * line-up only in hot seat and the connection fields only online; the
+     * computer controls are hidden in both of those.
+     * @param {string} mode - 'single', 'spectate', 'hotseat' or 'online'
+     * @param {number} speed - Speed a watched match plays at
+     */
+    updateGameModeMenu(mode, speed) {
+        const {
+            gameModeSelect, spectatorPersonalitySetting, spectatorSpeedSetting,
+            spectatorSpeedSlider, aiPersonalityLabel, aiPersonalitySetting,
+            adaptiveAISetting, hotseatSetup, onlineSetup, startButton
+        } = this.elements;
+        const spectating = mode === 'spectate';
+        const hotSeat = mode === 'hotseat';
+        const online = mode === 'online';
+        
+        if (gameModeSelect) {
+            gameModeSelect.value = mode;
+        }
+        
+        if (hotseatSetup) {
+            hotseatSetup.style.display = hotSeat ? '' : 'none';
+        }
+        
+        if (onlineSetup) {
+            onlineSetup.style.display = online ? '' : 'none';
+        }
+        
+        if (startButton) {
+            startButton.textContent = online ? 'Host Game' : 'Start Game';
+        }
+        
+        [aiPersonalitySetting, adaptiveAISetting].forEach(setting => {
+            if (setting) {
+                setting.style.display = hotSeat || online ? 'none' : '';
+            }
+        });
+        
+        if (spectatorPersonalitySetting) {
+            spectatorPersonalitySetting.style.display = spectating ? '' : 'none';
+        }
+        
+        if (spectatorSpeedSetting) {
+            spectatorSpeedSetting.style.display = spectating ? '' : 'none';
+        }
+        
+        if (spectatorSpeedSlider) {
+            spectatorSpeedSlider.value = speed;
+        }
+        
+        if (aiPersonalityLabel) {
+            aiPersonalityLabel.textContent = spectating ? 'Player 2:' : 'Opponent:';
+        }
+    }
+
+    /**
+     * Fills in the hot-seat line-up of the main menu: how many play, the
+     * match format and a name and disc colour for each player
+     * @param {{name: string, color: number}[]} setup - Saved name and colour of each seat
+     * @param {number} playerCount - Number of players
+     * @param {string} format - Id of the selected match format
+     */
+    updatePlayerSetupMenu(setup, playerCount, format) {
+        const { playerCountSelect, matchFormatSelect, playerList } = this.elements;
+        const { minPlayers, maxPlayers } = MATCH_FORMATS[format] || MATCH_FORMATS.singles;
+        
+        if (matchFormatSelect) {
+            matchFormatSelect.innerHTML = '';
+            Object.values(MATCH_FORMATS).forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                matchFormatSelect.appendChild(option);
+            });
+            matchFormatSelect.value = format;
+        }
+        
+        if (playerCountSelect) {
+            playerCountSelect.innerHTML = '';
+            for (let count = minPlayers; count <= maxPlayers; count++) {
+                const option = document.createElement('option');
+                option.value = count;
+                option.textContent = count;
+                playerCountSelect.appendChild(option);
+            }
+            playerCountSelect.value = playerCount;
+            playerCountSelect.disabled = minPlayers === maxPlayers;
+        }
+        
+        if (playerList) {
+            playerList.innerHTML = '';
+            for (let index = 0; index < playerCount; index++) {
+                const { name = '', color = 0 } = setup[index] || {};
+                const setting = document.createElement('div');
+                setting.className = 'setting';
+                
+                const label = document.createElement('label');
+                label.htmlFor = `player-name-${index}`;
+                label.textContent = `Player ${index + 1}:`;
+                setting.appendChild(label);
+                
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.id = `player-name-${index}`;
+                nameInput.maxLength = 16;
+                nameInput.value = name;
+                nameInput.placeholder = `Player ${index + 1}`;
+                nameInput.dataset.index = index;
+                nameInput.dataset.field = 'name';
+                setting.appendChild(nameInput);
+                
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.value = this.toColorValue(color);
+                colorInput.title = 'Disc colour';
+                colorInput.dataset.index = index;
+                colorInput.dataset.field = 'color';
+                setting.appendChild(colorInput);
+                
+                playerList.appendChild(setting);
+            }
+        }
+    }
+
+    /**
+     * Fills in the online fields of the main menu
+     * @param {string} name - Name shown to online opponents
+     * @param {string} server - WebSocket URL of the online server
+     */
+    updateOnlineMenu(name, server) {
+        const { onlineNameInput, onlineServerInput } = this.elements;
+        
+        if (onlineNameInput) {
+            onlineNameInput.value = name;
+        }
+        
+        if (onlineServerInput) {
+            onlineServerInput.value = server;
+        }
+    }
+
+    /**
+     * Shows how hosting or joining an online match is going
+     * @param {string} text - Status to show, '' to clear it
+     * @param {boolean} [busy=false] - Whether to hold off hosting and joining
+     *   until the server answers or an opponent joins
+     */
+    showOnlineStatus(text, busy = false) {
+        const { onlineStatus, startButton, joinRoomButton } = this.elements;
+        
+        if (onlineStatus) {
+            onlineStatus.textContent = text;
+        }
+        
+        [startButton, joinRoomButton].forEach(button => {
+            if (button) {
+                button.disabled = busy;
+            }
+        });
+    }
+
+    /**
+     * Fills in the disc set select of the main menu
+     * @param {string} discSet - Id of the selected disc set
+     */
+    updateDiscSetMenu(discSet) {
+        const select = this.elements.discSetSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        Object.values(DISC_SETS).forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = discSet;
+    }
+
+    /**
+     * Opens the custom rule editor with the given values
+     * @param {Object} ruleSet - The custom rule set to edit
+     */
+    showCustomRulesEditor(ruleSet) {
+        const {
+            customLayout, customDiscs, customWinningScore,
+            customLineRule, customScoring, customHangerPoints
+        } = this.elements;
+        
+        if (customLayout) customLayout.value = ruleSet.layout;
+        if (customDiscs) customDiscs.value = ruleSet.discsPerPlayer;
+        if (customWinningScore) customWinningScore.value = ruleSet.winningScore;
+        if (customLineRule) customLineRule.value = ruleSet.lineRule;
+        if (customScoring) customScoring.value = ruleSet.scoring;
+        if (customHangerPoints) customHangerPoints.value = ruleSet.hangerPoints;
+        
+        this.renderZonePointFields(ruleSet);
+        this.showModal('customRules');
+    }
+
+    /**
+     * Builds a points input for each zone of the rule set's layout
+     * @param {Object} ruleSet - Supplies the layout and current points
+     */
+    renderZonePointFields(ruleSet) {
+        const container = this.elements.customZonePoints;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        LAYOUTS[ruleSet.layout].zones.forEach(zone => {
+            const setting = document.createElement('div');
+            setting.className = 'setting';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `custom-zone-${zone.id}`;
+            label.textContent = `${zone.label} zone:`;
+            setting.appendChild(label);
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `custom-zone-${zone.id}`;
+            input.dataset.zone = zone.id;
+            input.value = ruleSet.points[zone.id];
+            setting.appendChild(input);
+            
+            container.appendChild(setting);
+        });
+    }
+
+    /**
+     * Reads the values entered in the custom rule editor. They are validated
+     * by createCustomRuleSet() when the rule set is built.
+     * @returns {Object} Raw custom rule values
+     */
+    readCustomRulesEditor() {
+        const {
+            customLayout, customDiscs, customWinningScore,
+            customLineRule, customScoring, customHangerPoints, customZonePoints
+        } = this.elements;
+        
+        const points = {};
+        customZonePoints?.querySelectorAll('input[data-zone]').forEach(input => {
+            points[input.dataset.zone] = input.value;
+        });
+        
+        return {
+            layout: customLayout?.value,
+            discsPerPlayer: customDiscs?.value,
+            winningScore: customWinningScore?.value,
+            lineRule: customLineRule?.value,
+            scoring: customScoring?.value,
+            hangerPoints: customHangerPoints?.value,
+            points
+        };
+    }
+
     /**
      * Updates UI elements with the provided settings
      * @param {Object} settings - The settings to apply
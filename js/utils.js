@@ -1,9 +1,11 @@
 import * as THREE from 'three';
+import { random } from './random.js';
 // Utility functions for the game
 
-// Generate a random number between min and max
-export function randomInt(min, max) {
-    return Math.random() * (max - min) + min;
+// Generate a random number between min and max from the seeded gameplay
+// generator, or from the one given
+export function randomInt(min, max, rng = random) {
+    return rng.next() * (max - min) + min;
 }
 
 // Clamp a value between min and max
@@ -0,0 +1,49 @@
+// Reproducibility of computer-against-computer batches. Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BatchRunner from '../js/batchRunner.js';
+
+// Short games between quick players, to keep the batches fast
+const ENTRANTS = [
+    { difficulty: 'easy', personality: 'balanced' },
+    { difficulty: 'easy', personality: 'knocker' }
+];
+
+/**
+ * Plays a batch and keeps the record of every game
+ * @param {BatchRunner} runner
+ * @returns {Promise<Object[]>}
+ */
+async function playBatch(runner) {
+    const records = [];
+    runner.onGame = (record) => records.push(record);
+    await runner.run();
+    return records;
+}
+
+test('a batch played again gives the same records', async () => {
+    const options = { games: 2, seed: 5, entrants: ENTRANTS, maxFrames: 1 };
+    const runner = new BatchRunner(options);
+
+    const first = await playBatch(runner);
+    assert.deepEqual(await playBatch(runner), first);
+    assert.deepEqual(await playBatch(new BatchRunner(options)), first);
+});
+
+test('a game plays the same whatever was played before it', async () => {
+    const options = { entrants: ENTRANTS, maxFrames: 1, swapSeats: false };
+    const batch = await playBatch(new BatchRunner({ ...options, games: 2, seed: 5 }));
+    const alone = await playBatch(new BatchRunner({ ...options, games: 1, seed: 6 }));
+
+    assert.deepEqual(alone[0], batch[1]);
+});
+
+test('a batch shared between workers gives the same records', async () => {
+    const options = { games: 3, seed: 5, entrants: ENTRANTS, maxFrames: 1 };
+    const alone = await playBatch(new BatchRunner(options));
+    const shared = await playBatch(new BatchRunner({ ...options, workers: 2 }));
+
+    // Workers report their games as they finish
+    shared.sort((a, b) => a.seed - b.seed);
+    assert.deepEqual(shared, alone);
+});
@@ -0,0 +1,73 @@
+// Replays of seeded games. Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameCore from '../js/gameCore.js';
+import { getRuleSet } from '../js/ruleSets.js';
+
+// A fixed run of shots, varied enough that discs collide and settle
+const SHOTS = Array.from({ length: 8 }, (_, i) => ({
+    angle: (i % 3 - 1) * 0.02,
+    power: 0.55 + (i % 4) * 0.05,
+    spin: (i % 2) * 0.3
+}));
+
+/**
+ * Plays the shots in a new game on the core
+ * @param {GameCore} core
+ * @param {number} seed
+ * @returns {string[]} Position hash after every shot
+ */
+function playShots(core, seed) {
+    core.startGame({ seed });
+    return playShotsInFrame(core);
+}
+
+/**
+ * Plays the shots in the frame under way, until it ends
+ * @param {GameCore} core
+ * @returns {string[]} Position hash after every shot
+ */
+function playShotsInFrame(core) {
+    const hashes = [];
+    for (const shot of SHOTS) {
+        core.shoot(shot);
+        core.runUntilSettled();
+        hashes.push(core.getPositionHash());
+        if (!core.turn.is('aiming')) break;
+    }
+    return hashes;
+}
+
+test('a seed replays the same on a core that has played other games', () => {
+    const core = new GameCore({ players: [{}, {}] });
+
+    const first = playShots(core, 42);
+    for (let seed = 1; seed <= 5; seed++) {
+        playShots(core, seed);
+    }
+
+    assert.deepEqual(playShots(core, 42), first);
+});
+
+test('two games with different histories agree on the same online match', async () => {
+    // The host's game is new; the guest's has played under other rules first
+    const host = new GameCore({ players: [{}, { remote: true }] });
+    const guest = new GameCore({ players: [{}, {}] });
+    guest.setRuleSet(getRuleSet('table'));
+    playShots(guest, 1);
+    guest.setRuleSet(getRuleSet('court'));
+    for (let seed = 2; seed <= 6; seed++) {
+        playShots(guest, seed);
+    }
+    guest.setupPlayers([{ remote: true }, {}]);
+
+    const hashes = [];
+    for (const core of [host, guest]) {
+        const frames = [playShots(core, 42)];
+        await core.startNextFrame();
+        frames.push(playShotsInFrame(core));
+        hashes.push(frames);
+    }
+
+    assert.deepEqual(hashes[1], hashes[0]);
+});
@@ -0,0 +1,228 @@
+// Scoring, win conditions and turn order of a headless GameCore.
+// Run with: node --test
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import GameCore from '../js/gameCore.js';
+import { getRuleSet } from '../js/ruleSets.js';
+import { getMatchFormat } from '../js/matchFormats.js';
+import { planFrame, getHammer } from '../js/frameOrder.js';
+
+const RADIUS = 0.1;
+
+// A shot disc lying at z down the board, on the centre line unless x is given
+const at = (z, x = 0) => ({ hasBeenShot: true, radius: RADIUS, getPosition: () => ({ x, y: 0, z }) });
+const lost = () => ({ hasBeenShot: true, radius: RADIUS, getPosition: () => null });
+const dead = () => ({ hasBeenShot: true, radius: RADIUS, dead: true, getPosition: () => null });
+
+/**
+ * Scores a frame with the given discs in place of each player's own
+ * @param {GameCore} core
+ * @param {Object[][]} layouts - Discs of every player
+ * @returns {Object[]} Per-player disc results and totals
+ */
+function scoreDiscs(core, layouts) {
+    layouts.forEach((discs, i) => { core.players[i].discs = discs; });
+    return core.scoreFrame().players;
+}
+
+/**
+ * Plays weak shots until the frame is over
+ * @param {GameCore} core
+ * @returns {number[]} Index of the player of every turn, in order
+ */
+function playFrame(core) {
+    const turns = [core.currentPlayerIndex];
+    core.on('turnStart', ({ playerIndex }) => turns.push(playerIndex));
+    while (core.turn.is('aiming')) {
+        core.shoot({ angle: 0, power: 0.3, spin: 0 });
+        core.runUntilSettled();
+    }
+    core.off('turnStart');
+    return turns;
+}
+
+describe('scoreFrame', () => {
+    test('court rules score every disc by the zone it lies in', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('court'), players: [{}, {}] });
+        const [first, second] = scoreDiscs(core, [
+            [at(5.7), at(7.1, 0.2), at(8.2, 0.2)],
+            [at(9.1), at(0)]
+        ]);
+
+        assert.deepEqual(first.discs.map(disc => [disc.type, disc.value]),
+                         [['zone', 10], ['zone', 8], ['zone', 7]]);
+        assert.equal(first.total, 25);
+        assert.deepEqual(second.discs.map(disc => [disc.type, disc.value]),
+                         [['zone', -10], ['none', 0]]);
+        assert.equal(second.total, -10);
+    });
+
+    test('discs on a line, off the board or dead score nothing', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('court'), players: [{}, {}] });
+        const [result] = scoreDiscs(core, [[at(7.0), at(10), lost(), dead()]]);
+
+        assert.deepEqual(result.discs.map(disc => disc.type), ['line', 'out', 'out', 'dead']);
+        assert.equal(result.total, 0);
+    });
+
+    test('zones are at the far end for the direction of play', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('court'), players: [{}, {}] });
+        core.playDirection = -1;
+        const [result] = scoreDiscs(core, [[at(-5.7), at(5.7)]]);
+
+        assert.deepEqual(result.discs.map(disc => disc.value), [10, 0]);
+        assert.equal(result.total, 10);
+    });
+
+    test('table rules only score the leader\'s discs beyond every opposing disc', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('table'), players: [{}, {}] });
+        const [leader, other] = scoreDiscs(core, [
+            [at(9.5), at(8.0)],
+            [at(8.5)]
+        ]);
+
+        assert.deepEqual(leader.discs.map(disc => disc.counted), [true, false]);
+        assert.equal(leader.total, 3);
+        assert.equal(other.total, 0);
+    });
+
+    test('table rules score nothing when the furthest discs are level', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('table'), players: [{}, {}] });
+        const totals = scoreDiscs(core, [[at(9.5), at(5.5)], [at(9.5)]]).map(result => result.total);
+
+        assert.deepEqual(totals, [0, 0]);
+    });
+
+    test('table rules don\'t let dead or out discs lead', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('table'), players: [{}, {}] });
+        const totals = scoreDiscs(core, [[dead(), at(10.5)], [at(5.5)]]).map(result => result.total);
+
+        assert.deepEqual(totals, [0, 1]);
+    });
+
+    test('table rules score hangers', () => {
+        const core = new GameCore({ ruleSet: getRuleSet('table'), players: [{}, {}] });
+        const [result] = scoreDiscs(core, [[at(10)]]);
+
+        assert.equal(result.discs[0].type, 'hanger');
+        assert.equal(result.total, 4);
+    });
+});
+
+describe('events', () => {
+    test('an error thrown by a listener reaches the caller', () => {
+        const core = new GameCore({ players: [{}, {}] });
+        core.on('turnStart', () => { throw new Error('broken listener'); });
+
+        assert.throws(() => core.startGame({ seed: 1 }), /broken listener/);
+    });
+});
+
+describe('checkWinCondition', () => {
+    const withScores = (scores) => {
+        const core = new GameCore({ ruleSet: getRuleSet('court'), players: scores.map(() => ({})) });
+        core.scores = scores;
+        return core.checkWinCondition();
+    };
+
+    test('nobody wins below the winning score', () => {
+        assert.equal(withScores([74, 70]), null);
+    });
+
+    test('the highest score at or above the winning score wins', () => {
+        assert.equal(withScores([60, 75]), 1);
+        assert.equal(withScores([90, 80]), 0);
+        assert.equal(withScores([80, 76, 91]), 2);
+    });
+
+    test('teams tied at the top keep playing', () => {
+        assert.equal(withScores([80, 80]), null);
+        assert.equal(withScores([90, 90, 60]), null);
+    });
+
+    test('a tie below the leader doesn\'t stop the leader winning', () => {
+        assert.equal(withScores([80, 80, 85]), 2);
+    });
+});
+
+describe('turn order', () => {
+    test('planFrame gives the hammer to the player before the opener', () => {
+        assert.equal(getHammer(0, 2), 1);
+        assert.equal(getHammer(2, 3), 1);
+        assert.deepEqual(planFrame('alternate', { playerCount: 2 }), { firstPlayer: 0, hammer: 1 });
+        assert.deepEqual(planFrame('alternate', { playerCount: 3, previousFrame: { firstPlayer: 2, totals: [0, 0, 0] } }),
+                         { firstPlayer: 0, hammer: 2 });
+        assert.deepEqual(planFrame('fixed', { playerCount: 2, previousFrame: { firstPlayer: 0, totals: [5, 0] } }),
+                         { firstPlayer: 0, hammer: 1 });
+    });
+
+    test('planFrame lets the loser open, alternating on a tie', () => {
+        assert.deepEqual(planFrame('loser', { playerCount: 2, previousFrame: { firstPlayer: 0, totals: [10, 3] } }),
+                         { firstPlayer: 1, hammer: 0 });
+        assert.deepEqual(planFrame('loser', { playerCount: 2, previousFrame: { firstPlayer: 1, totals: [4, 4] } }),
+                         { firstPlayer: 0, hammer: 1 });
+    });
+
+    test('players take turns until everyone has shot every disc', () => {
+        const core = new GameCore({ players: [{}, {}, {}] });
+        core.startGame({ seed: 1 });
+
+        const turns = playFrame(core);
+        assert.deepEqual(turns, [0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2]);
+        assert.ok(core.turn.is('idle'));
+    });
+
+    test('endTurn skips a player with no discs left', () => {
+        const core = new GameCore({ players: [{}, {}, {}] });
+        core.startGame({ seed: 1 });
+        core.players[1].currentDiscIndex = core.players[1].discs.length;
+
+        core.shoot({ angle: 0, power: 0.3, spin: 0 });
+        core.runUntilSettled();
+        assert.equal(core.currentPlayerIndex, 2);
+    });
+
+    test('the hammer changes hands every frame under the alternate policy', async () => {
+        const core = new GameCore({ startPolicy: 'alternate', players: [{}, {}] });
+        const frames = [];
+        core.on('frameEnd', ({ firstPlayer, hammer }) => frames.push({ firstPlayer, hammer }));
+        core.startGame({ seed: 1 });
+
+        const first = playFrame(core);
+        await core.startNextFrame();
+        const second = playFrame(core);
+
+        assert.deepEqual(frames, [{ firstPlayer: 0, hammer: 1 }, { firstPlayer: 1, hammer: 0 }]);
+        assert.equal(first[first.length - 1], 1);
+        assert.equal(second[0], 1);
+        assert.equal(second[second.length - 1], 0);
+    });
+
+    test('the loser of the last frame opens under the loser policy', () => {
+        const core = new GameCore({ startPolicy: 'loser', players: [{}, {}] });
+        core.startGame({ seed: 1 });
+
+        core.frameHistory.push({ frame: 1, firstPlayer: 1, hammer: 0, totals: [17, 8], teamTotals: [17, 8] });
+        core.planNextFrame();
+        assert.deepEqual(core.frameOrder, { firstPlayer: 1, hammer: 0 });
+
+        core.frameHistory.push({ frame: 2, firstPlayer: 1, hammer: 0, totals: [0, 10], teamTotals: [0, 10] });
+        core.planNextFrame();
+        assert.deepEqual(core.frameOrder, { firstPlayer: 0, hammer: 1 });
+        assert.equal(core.currentPlayerIndex, 0);
+    });
+
+    test('in doubles the order carries over to the pair at the other end', () => {
+        const core = new GameCore({ format: getMatchFormat('doubles'), players: [{}, {}, {}, {}] });
+        core.startGame({ seed: 1 });
+        assert.deepEqual(core.getFramePlayers(), [0, 1]);
+        assert.deepEqual(core.frameOrder, { firstPlayer: 0, hammer: 1 });
+
+        // Team 0 (players 0 and 2) opened the first frame, so team 1 opens the next
+        core.frameHistory.push({ frame: 1, firstPlayer: 0, hammer: 1, totals: [10, 7, 0, 0], teamTotals: [10, 7] });
+        core.playDirection = -1;
+        core.planNextFrame();
+        assert.deepEqual(core.getFramePlayers(), [2, 3]);
+        assert.deepEqual(core.frameOrder, { firstPlayer: 3, hammer: 2 });
+    });
+});